@@ -3,6 +3,13 @@
  * Single source of truth for all settings
  */
 
+import studioTypoLayout from "./layouts/studio-typo.json";
+import fullKeyboardLayout from "./layouts/full-keyboard.json";
+
+// Delay between STUDIO key reveals (ms); the intro tracks' offsets use it too
+const STUDIO_REVEAL_STAGGER = 100;
+const STUDIO_LETTERS = ["S", "T", "U", "D", "I", "O"];
+
 export const CONFIG = {
   // Scene settings
   scene: {
@@ -24,22 +31,48 @@ export const CONFIG = {
     keySpacing: 1.2,
     slideDistance: 3.5, // World units to slide right
 
-    // STUDIO row (initially hidden, fade in place) - horizontal row
-    studio: {
-      S: { x: -3.0, y: 0, z: -2.5 },
-      T: { x: -1.8, y: 0, z: -2.5 },
-      U: { x: -0.6, y: 0, z: -2.5 },
-      D: { x: 0.6, y: 0, z: -2.5 },
-      I: { x: 1.8, y: 0, z: -2.5 },
-      O: { x: 3.0, y: 0, z: -2.5 },
+    // Layout definitions (KLE raw data plus named groups, see utils/kle.js).
+    // "studio" and "typo" drive the intro; "triggersIntro" groups start
+    // visible and start the intro when clicked, other groups start hidden.
+    main: studioTypoLayout,
+
+    // Full keyboard for free typing (generated on first use)
+    fullKeyboard: fullKeyboardLayout,
+
+    // Type-to-spell row (below the TYPO grid, moves with the brand keys)
+    spell: {
+      position: { x: 0, y: 0, z: 2.4 },
+      scale: 0.6,
+      maxLength: 12,
     },
+  },
 
-    // TYPO grid (initially visible, 2x2 grid using X and Z)
-    typo: {
-      T: { x: -0.6, y: 0, z: -0.6 },
-      Y: { x: 0.6, y: 0, z: -0.6 },
-      P: { x: -0.6, y: 0, z: 0.6 },
-      O: { x: 0.6, y: 0, z: 0.6 },
+  // Keycap shape (see scene/KeycapGeometry.js). Layouts and KLE "p" props
+  // ("SA R1", "DSA") override the profile and row per group or key.
+  keycaps: {
+    profile: "cherry", // cherry, sa, dsa, xda
+    row: 3, // Sculpt row when a layout doesn't set one (1 = number row)
+    cornerSegments: 4,
+    dishRings: 4,
+
+    // Instanced rendering (see scene/KeyInstances.js): all legends share one
+    // atlas texture, `unit` pixels per key unit
+    instanceCapacity: 16, // Initial instances per keycap shape (grows)
+    atlas: {
+      size: 2048,
+      unit: 160,
+      padding: 4,
+    },
+
+    // Legend lettering (see scene/LegendRenderer.js); sizes are fractions of
+    // the atlas unit. Waits up to fontTimeout ms for the web font at start.
+    legend: {
+      font: '"Space Mono", "SF Mono", Consolas, monospace',
+      weight: 700,
+      size: 0.47,
+      subSize: 0.2,
+      minSize: 0.1,
+      fontTimeout: 1500,
     },
   },
 
@@ -47,13 +80,17 @@ export const CONFIG = {
   timing: {
     keyPressDuration: 80,
     keyReleaseDuration: 120,
-    studioRevealStagger: 100,
+    keyRepeatDuration: 60,
+    studioRevealStagger: STUDIO_REVEAL_STAGGER,
+    keyRevealDuration: 300,
+    letterFlipDuration: 80,
+    spellFlourishStagger: 60,
     slideRightDuration: 800,
     navRevealDelay: 100,
     sectionTransition: 300,
   },
 
-  // Intro sequence timings
+  // Intro sequence: anchor steps (ms) and the timeline tracks that use them
   intro: {
     totalDuration: 3500,
     steps: {
@@ -64,6 +101,180 @@ export const CONFIG = {
       slideStart: 1500,
       navReveal: 2300,
     },
+
+    // Tracks of keyed events (see intro/Timeline.js). Event `at` is a step
+    // name or ms, plus `offset`. Durations default to CONFIG.timing.
+    // Targets: "trigger" (key that started the intro), "typo.<letter>",
+    // "studio.<letter>", "layout", "nav", "audio", "narrator"
+    tracks: [
+      {
+        id: "typingLoop",
+        target: "audio",
+        events: [
+          { type: "playSound", at: "audioInit", sound: "typingLoop" },
+          { type: "stopSound", at: "navReveal", sound: "typingLoop" },
+        ],
+      },
+      {
+        id: "trigger",
+        target: "trigger",
+        events: [
+          { type: "press", at: "keyPress" },
+          { type: "release", at: "keyRelease" },
+        ],
+      },
+      {
+        id: "triggerSound",
+        target: "audio",
+        events: [{ type: "playSound", at: "keyPress", sound: "keyPress" }],
+      },
+      // STUDIO keys fade in place, left to right (studioRevealStagger apart)
+      ...STUDIO_LETTERS.map((letter, i) => ({
+        id: `studio.${letter}`,
+        target: `studio.${letter}`,
+        events: [
+          {
+            type: "reveal",
+            at: "studioRevealStart",
+            offset: i * STUDIO_REVEAL_STAGGER,
+          },
+        ],
+      })),
+      {
+        id: "studioSounds",
+        target: "audio",
+        events: STUDIO_LETTERS.map((_, i) => ({
+          type: "playSound",
+          at: "studioRevealStart",
+          offset: i * STUDIO_REVEAL_STAGGER,
+          sound: "keyPress",
+        })),
+      },
+      {
+        id: "narration",
+        target: "narrator",
+        events: [
+          {
+            type: "narrate",
+            at: "studioRevealStart",
+            message: "STUDIO appears above TYPO.",
+          },
+        ],
+      },
+      {
+        id: "slide",
+        target: "layout",
+        events: [{ type: "slide", at: "slideStart" }],
+      },
+      {
+        id: "nav",
+        target: "nav",
+        events: [{ type: "showNav", at: "navReveal" }],
+      },
+    ],
+
+    // Brand word rotations played with the intro (see intro/LetterRotation.js).
+    // One target: each word is spelled letter by letter on that key.
+    // Several targets: each word is shown across them, one letter per key.
+    // Words can be { text, interval, intervals: [ms per letter] }.
+    rotations: [
+      {
+        id: "care",
+        targets: ["typo.O"],
+        at: "audioInit",
+        interval: 100, // ms per letter
+        words: ["CARE", "O"],
+      },
+    ],
+
+    // Short variant for returning visitors (excludes tracks/rotations by ID)
+    returning: {
+      rate: 2.5,
+      excludeTracks: ["care"],
+    },
+  },
+
+  // Keyboard input (see utils/keyboard.js resolveKey)
+  input: {
+    // "character": match the character typed in the visitor's layout
+    // "code": match the physical key position (US QWERTY)
+    matchBy: "character",
+
+    // Gamepad buttons (standard mapping) -> KeyboardEvent.code.
+    // Shoulders/triggers play TYPO; face buttons and d-pad cover Konami.
+    gamepad: {
+      threshold: 0.1, // Analog trigger travel that counts as pressed
+      buttons: {
+        0: "KeyA",
+        1: "KeyB",
+        4: "KeyT",
+        5: "KeyY",
+        6: "KeyP",
+        7: "KeyO",
+        9: "Enter",
+        12: "ArrowUp",
+        13: "ArrowDown",
+        14: "ArrowLeft",
+        15: "ArrowRight",
+      },
+    },
+
+    // Web MIDI (asks for permission, so opt-in: enabled or ?midi in the URL).
+    // Notes from firstNote up map onto codes in order, wrapping around.
+    midi: {
+      enabled: false,
+      firstNote: 36, // C1, the first pad on most controllers
+      codes: ["KeyT", "KeyY", "KeyP", "KeyO", "KeyS", "KeyU", "KeyD", "KeyI"],
+    },
+  },
+
+  // Key sequences (see utils/sequences.js). Steps are keys ("T", "ArrowUp")
+  // or chords held together (["T", "Y"]); a string is one step per letter.
+  // `states` limits where a sequence counts. `action: "intro"` starts the
+  // intro; `rotation` plays a letter rotation (see intro/LetterRotation.js).
+  sequences: {
+    typo: {
+      keys: "TYPO",
+      timeout: 2000,
+      states: ["ready"],
+      action: "intro",
+    },
+    typoChord: {
+      keys: [["T", "Y", "P", "O"]],
+      states: ["ready"],
+      action: "intro",
+    },
+    studio: {
+      keys: "STUDIO",
+      timeout: 2000,
+      states: ["ready", "main"],
+      rotation: {
+        targets: ["typo.T", "typo.Y", "typo.P", "typo.O"],
+        interval: 200,
+        words: ["STUD", "TUDI", "UDIO", "TYPO"],
+      },
+    },
+    konami: {
+      keys: [
+        "ArrowUp",
+        "ArrowUp",
+        "ArrowDown",
+        "ArrowDown",
+        "ArrowLeft",
+        "ArrowRight",
+        "ArrowLeft",
+        "ArrowRight",
+        "B",
+        "A",
+      ],
+      timeout: 3000,
+      states: ["ready", "main"],
+      rotation: {
+        targets: ["typo.T", "typo.Y", "typo.P", "typo.O"],
+        interval: 400,
+        words: ["1UP!", "GGWP", "TYPO"],
+      },
+    },
   },
 
   // Audio settings
@@ -73,6 +284,7 @@ export const CONFIG = {
     keyPressVolume: 0.6,
     fadeInDuration: 1000,
     fadeOutDuration: 300,
+    switchProfile: "blue", // Default key sound (see audio/switchProfiles.js)
   },
 
   // Performance settings
@@ -91,11 +303,42 @@ export const CONFIG = {
   theme: {
     default: "light",
     storageKey: "studio-typo-theme",
+    transition: 450, // Lights, exposure and key colors tween this long (ms)
   },
 
+  // Colorway palettes (colors live in styles/variables.css as --key-* and
+  // page variables under [data-palette]; `mode` is the data-theme they build on)
+  palettes: [
+    { id: "dark", name: "Dark", mode: "dark" },
+    { id: "light", name: "Light", mode: "light" },
+    { id: "olivia", name: "Olivia", mode: "light" },
+    { id: "laser", name: "Laser", mode: "dark" },
+    { id: "9009", name: "9009", mode: "light" },
+    { id: "high-contrast", name: "High contrast", mode: "dark" },
+  ],
+
   // Sound preference
   sound: {
     default: true,
     storageKey: "studio-typo-sound",
   },
+
+  // Screen-reader narration (see ui/Narrator.js)
+  narration: {
+    default: true,
+    storageKey: "studio-typo-narration",
+    spacing: 1200, // ms between queued messages
+    // Messages per state transition ("<from>-><to>")
+    transitions: {
+      "loading->ready":
+        "Keyboard ready. Type TYPO, or press the T, Y, P or O key to start.",
+      "ready->intro": "Playing intro.",
+      "main->intro": "Replaying intro.",
+      "intro->main": "Intro complete. Navigation is now available.",
+    },
+    freeTyping: {
+      on: "Full keyboard shown.",
+      off: "Studio Typo keys shown.",
+    },
+  },
 };
@@ -9,19 +9,49 @@ import { AudioManager } from "./audio/AudioManager.js";
 import { IntroSequence } from "./intro/IntroSequence.js";
 import { Navigation } from "./ui/Navigation.js";
 import { ThemeToggle } from "./ui/ThemeToggle.js";
+import { PaletteSelect } from "./ui/PaletteSelect.js";
 import { SoundToggle } from "./ui/SoundToggle.js";
+import { SwitchSelect } from "./ui/SwitchSelect.js";
+import { ContentSections } from "./ui/ContentSections.js";
+import { ReplayButton } from "./ui/ReplayButton.js";
+import { FreeTypingToggle } from "./ui/FreeTypingToggle.js";
+import { TypoProgress } from "./ui/TypoProgress.js";
+import { KeyAccessibility } from "./ui/KeyAccessibility.js";
+import { Narrator } from "./ui/Narrator.js";
+import { NarrationToggle } from "./ui/NarrationToggle.js";
+import { Router } from "./router/Router.js";
+import { TypeToSpell } from "./interaction/TypeToSpell.js";
 import {
   createKeyboardHandler,
-  createTypoTracker,
-  isTypoKey,
+  getKeyboardLayoutMap,
+  getLayoutCharacter,
+  keyFromCode,
 } from "./utils/keyboard.js";
-import { getTheme, getSoundEnabled } from "./utils/storage.js";
+import { createGamepadHandler } from "./utils/gamepad.js";
+import { createMidiHandler } from "./utils/midi.js";
+import { createSequenceRecognizer } from "./utils/sequences.js";
+import {
+  getTheme,
+  setTheme,
+  getPalette,
+  setPalette,
+  getSoundEnabled,
+  getSwitchPreference,
+  getNarrationEnabled,
+  hasCompletedIntro,
+  markIntroCompleted,
+} from "./utils/storage.js";
 import {
   supportsWebGL,
   getWebGLCapabilities,
   prefersReducedMotion,
 } from "./utils/device.js";
 import { analytics } from "./utils/analytics.js";
+import {
+  applyPalette,
+  getCurrentPalette,
+  onThemeChange,
+} from "./utils/palette.js";
 
 // Application states
 export const STATES = {
@@ -37,7 +67,7 @@ const VALID_TRANSITIONS = {
   [STATES.LOADING]: [STATES.READY],
   [STATES.READY]: [STATES.INTRO],
   [STATES.INTRO]: [STATES.MAIN],
-  [STATES.MAIN]: [STATES.TRANSITIONING],
+  [STATES.MAIN]: [STATES.TRANSITIONING, STATES.INTRO], // INTRO = replay
   [STATES.TRANSITIONING]: [STATES.MAIN],
 };
 
@@ -51,15 +81,40 @@ export class App {
     this.keyboardLayout = null;
     this.audioManager = null;
     this.introSequence = null;
+    this.typeToSpell = null;
 
     // UI components
     this.navigation = null;
     this.themeToggle = null;
+    this.paletteSelect = null;
+    this.unsubscribeTheme = null;
     this.soundToggle = null;
+    this.switchSelect = null;
+    this.contentSections = null;
+    this.replayButton = null;
+    this.freeTypingToggle = null;
+    this.keyAccessibility = null;
+    this.narrator = null;
+    this.narrationToggle = null;
+
+    // Free typing on the full keyboard (MAIN only)
+    this.freeTyping = false;
+
+    // Dev tools
+    this.introDebugOverlay = null;
+    this.soundDesignerPanel = null;
+
+    // Routing
+    this.router = null;
+    this.pendingRoute = null;
 
     // Input handlers
     this.keyboardHandler = null;
-    this.typoTracker = null;
+    this.gamepadHandler = null;
+    this.midiHandler = null;
+    this.sequences = null;
+    this.typoProgress = null;
+    this.heldKeys = new Map(); // KeyboardEvent.code -> KeyModel held down
 
     // DOM elements
     this.loadingEl = null;
@@ -93,18 +148,16 @@ export class App {
       // Initialize components in parallel where possible
       this.updateProgress(10);
 
+      // Apply saved palette BEFORE creating the scene and keyboard (lights
+      // and keys start from it)
+      applyPalette(getPalette(getTheme(CONFIG.theme.default)));
+
       // Initialize scene
       const canvas = document.getElementById("canvas");
       this.sceneManager = new SceneManager(canvas);
       await this.sceneManager.init();
       this.updateProgress(30);
 
-      // Apply saved theme BEFORE creating keyboard (so KeyModels read correct theme)
-      document.documentElement.setAttribute(
-        "data-theme",
-        getTheme(CONFIG.theme.default),
-      );
-
       // Initialize keyboard layout
       this.keyboardLayout = new KeyboardLayout(this.sceneManager.scene);
       await this.keyboardLayout.init();
@@ -120,12 +173,22 @@ export class App {
 
       // Initialize intro sequence
       this.introSequence = new IntroSequence(this);
+      this.typeToSpell = new TypeToSpell(this);
       this.updateProgress(80);
 
       // Set up input handlers
       this.initInputHandlers();
+
+      // Full keyboard legends follow the visitor's layout (not awaited)
+      getKeyboardLayoutMap().then((layoutMap) => {
+        this.keyboardLayout.applyLayoutLegends(layoutMap);
+      });
       this.updateProgress(90);
 
+      // Start router (deep link is opened once READY)
+      this.router = new Router((route) => this.handleRoute(route));
+      const initialRoute = this.router.start();
+
       // Start render loop
       this.sceneManager.start((delta, elapsed) => {
         this.update(delta, elapsed);
@@ -133,10 +196,20 @@ export class App {
 
       this.updateProgress(100);
 
+      // Dev-only intro timeline and sound designer (not awaited, loaded on
+      // demand)
+      this.initDebugTools();
+
       // Transition to READY state
       await this.waitForProgress();
       this.setState(STATES.READY);
 
+      // Deep links skip the intro and open the linked section (unknown
+      // sections keep the intro)
+      if (this.contentSections.hasSection(initialRoute.section)) {
+        this.openDeepLink(initialRoute);
+      }
+
       // Track performance
       this.trackLoadPerformance();
     } catch (error) {
@@ -151,19 +224,33 @@ export class App {
    * Initialize UI components
    */
   initUI() {
-    // Apply saved theme
-    const savedTheme = getTheme(CONFIG.theme.default);
-    document.documentElement.setAttribute("data-theme", savedTheme);
+    // Saved palette (applied in init)
+    const savedPalette = getCurrentPalette();
 
-    // Initialize theme toggle with callback to update 3D keys
+    // Initialize theme toggle - dark/light switch to the base palettes
     this.themeToggle = new ThemeToggle(
       document.getElementById("theme-toggle"),
-      savedTheme,
+      savedPalette.mode,
       (isDark) => {
-        this.keyboardLayout?.updateTheme(isDark);
+        this.setPalette(isDark ? "dark" : "light");
       },
     );
 
+    // Initialize colorway picker
+    this.paletteSelect = new PaletteSelect(
+      document.getElementById("palette-select"),
+      savedPalette.id,
+      (id) => {
+        this.setPalette(id);
+      },
+    );
+
+    // Theme controls show whichever palette is applied
+    this.unsubscribeTheme = onThemeChange(({ palette }) => {
+      this.themeToggle.setTheme(palette.mode, { notify: false });
+      this.paletteSelect.setPalette(palette.id);
+    });
+
     // Initialize sound toggle
     const soundEnabled = getSoundEnabled(CONFIG.sound.default);
     this.soundToggle = new SoundToggle(
@@ -175,12 +262,71 @@ export class App {
       },
     );
 
+    // Initialize key sound picker (unknown saved profiles fall back)
+    const switchProfile = this.audioManager.setSwitchProfile(
+      getSwitchPreference(CONFIG.audio.switchProfile),
+    );
+    this.switchSelect = new SwitchSelect(
+      document.getElementById("switch-select"),
+      switchProfile.id,
+      (id) => {
+        this.audioManager.setSwitchProfile(id);
+        this.audioManager.playKeyPress();
+      },
+    );
+
+    // Initialize screen-reader narration and its mute toggle
+    const narrationEnabled = getNarrationEnabled(CONFIG.narration.default);
+    this.narrator = new Narrator(
+      document.getElementById("announcer"),
+      narrationEnabled,
+    );
+    this.narrationToggle = new NarrationToggle(
+      document.getElementById("narration-toggle"),
+      narrationEnabled,
+      (enabled) => {
+        this.narrator.setEnabled(enabled);
+      },
+    );
+
+    // Initialize replay button (full intro, even for returning visitors)
+    this.replayButton = new ReplayButton(
+      document.getElementById("replay-intro"),
+      () => {
+        this.replayIntro();
+      },
+    );
+
+    // Initialize free typing toggle (full keyboard)
+    this.freeTypingToggle = new FreeTypingToggle(
+      document.getElementById("free-typing-toggle"),
+      false,
+      (enabled) => {
+        this.setFreeTyping(enabled);
+      },
+    );
+
+    // Initialize focusable key proxies (arrow keys, Enter/Space)
+    this.keyAccessibility = new KeyAccessibility(
+      document.getElementById("key-proxies"),
+      this.keyboardLayout,
+      {
+        onPress: (keyModel) => this.activateKey(keyModel, "focus", "keyboard"),
+        onRelease: () => this.releaseHeldKey("focus"),
+      },
+    );
+
+    // Initialize content sections
+    this.contentSections = new ContentSections(
+      document.getElementById("content"),
+    );
+
     // Initialize navigation
     this.navigation = new Navigation(
       document.getElementById("navigation"),
       document.getElementById("controls"),
       (section) => {
-        analytics.trackNavigation(section);
+        this.navigateTo(section);
       },
     );
   }
@@ -189,10 +335,25 @@ export class App {
    * Initialize keyboard and interaction handlers
    */
   initInputHandlers() {
-    // TYPO sequence tracker
-    this.typoTracker = createTypoTracker(() => {
-      this.triggerIntro("T"); // Start with T when TYPO is typed
-    });
+    // Named key sequences (TYPO trigger, easter eggs)
+    this.sequences = createSequenceRecognizer();
+    for (const [name, { keys, timeout }] of Object.entries(CONFIG.sequences)) {
+      this.sequences.register(name, {
+        keys,
+        timeout,
+        onComplete: () => this.onSequenceComplete(name),
+        onProgress: (matched) => this.onSequenceProgress(name, matched),
+        onReset: (reason) => this.onSequenceReset(name, reason),
+      });
+    }
+
+    // Live feedback while typing TYPO in READY
+    this.typoProgress = new TypoProgress(
+      this.hintEl,
+      this.keyboardLayout,
+      this.audioManager,
+      this.sequences.getSteps("typo") ?? [],
+    );
 
     // Keyboard handler
     this.keyboardHandler = createKeyboardHandler({
@@ -201,40 +362,375 @@ export class App {
 
         // Track key press
         analytics.trackKeyPress(key, "keyboard");
+      },
 
-        // In READY state, check for TYPO sequence or direct trigger
-        if (this.state === STATES.READY) {
-          if (isTypoKey(key)) {
-            this.typoTracker.track(key);
-          }
+      onPhysicalKey: (code, eventType, event, key) => {
+        // Sequences count in READY and MAIN (see CONFIG.sequences states)
+        if (
+          key &&
+          (this.state === STATES.READY || this.state === STATES.MAIN)
+        ) {
+          this.sequences.track(key, eventType);
         }
 
-        // In MAIN state, animate key press
-        if (this.state === STATES.MAIN) {
-          const keyModel = this.keyboardLayout.getTypoKey(key);
-          if (keyModel) {
-            keyModel.press();
-            this.audioManager.playKeyPress();
-            setTimeout(() => keyModel.release(), 100);
-          }
+        // Keys stay down until the physical key comes up
+        if (eventType === "keyup") {
+          this.releaseHeldKey(code);
+          return;
+        }
+
+        if (eventType === "keyrepeat") {
+          this.handleKeyRepeat(code, event, key);
+          return;
+        }
+
+        // Learn the visitor's layout for the full keyboard legends
+        const layoutCharacter = code && getLayoutCharacter(event);
+        if (layoutCharacter) {
+          this.keyboardLayout.setLayoutLegend(code, layoutCharacter);
+        }
+        if (this.state !== STATES.MAIN && this.state !== STATES.TRANSITIONING) {
+          return;
+        }
+
+        if (this.freeTyping) {
+          this.handleFreeTypingKey(code, event);
+        } else {
+          this.handleBrandKey(code, key);
+          this.handleSpellKey(event, key);
         }
       },
+
+      onBlur: () => {
+        this.sequences.reset();
+        this.releaseAllKeys();
+      },
     });
 
     this.keyboardHandler.attach();
 
-    // Click handler for 3D keys
-    this.sceneManager.onKeyClick = (keyModel) => {
-      analytics.trackKeyPress(keyModel.letter, "click");
+    // Gamepad buttons and MIDI notes play keys like a keyboard
+    this.gamepadHandler = createGamepadHandler({
+      ...CONFIG.input.gamepad,
+      onButton: (code, eventType, velocity) =>
+        this.handleDeviceKey("gamepad", code, eventType, velocity),
+    });
+    this.gamepadHandler.attach();
 
-      if (this.state === STATES.READY && keyModel.isTypoKey) {
-        this.triggerIntro(keyModel.letter);
-      } else if (this.state === STATES.MAIN) {
-        keyModel.press();
-        this.audioManager.playKeyPress();
-        setTimeout(() => keyModel.release(), 100);
-      }
+    const midiRequested = new URLSearchParams(window.location.search).has(
+      "midi",
+    );
+    if (CONFIG.input.midi.enabled || midiRequested) {
+      this.midiHandler = createMidiHandler({
+        ...CONFIG.input.midi,
+        onNote: (code, eventType, velocity, note) =>
+          this.handleDeviceKey("midi", code, eventType, velocity, note),
+      });
+      this.midiHandler.attach();
+    }
+
+    // Pointer handlers for 3D keys (each touch holds its own key)
+    this.sceneManager.onKeyPointerDown = (keyModel, pointerId, pointerType) => {
+      this.activateKey(
+        keyModel,
+        `pointer:${pointerId}`,
+        pointerType || "click",
+      );
+    };
+
+    this.sceneManager.onKeyPointerUp = (keyModel, pointerId) => {
+      this.releaseHeldKey(`pointer:${pointerId}`);
     };
+
+    // Keep the focusable key proxies in step with the scene
+    this.sceneManager.addUpdateListener(() => this.keyAccessibility.sync());
+  }
+
+  /**
+   * Press a 3D key from a pointer or its focusable proxy
+   * @param {KeyModel} keyModel - Key to press
+   * @param {string} id - Held key ID (released with releaseHeldKey)
+   * @param {string} method - Input method for analytics
+   */
+  activateKey(keyModel, id, method) {
+    analytics.trackKeyPress(keyModel.letter, method);
+
+    if (this.state === STATES.READY && keyModel.isTypoKey) {
+      this.triggerIntro(keyModel.letter);
+    } else if (this.state === STATES.MAIN) {
+      this.holdKey(id, keyModel);
+    }
+  }
+
+  /**
+   * Run a completed key sequence's action (see CONFIG.sequences)
+   * @param {string} name - Sequence name
+   */
+  onSequenceComplete(name) {
+    const { states = [], action, rotation } = CONFIG.sequences[name];
+    if (!states.includes(this.state)) return;
+
+    if (action === "intro") {
+      this.triggerIntro("T", "sequence"); // Start with T when TYPO is typed
+      return;
+    }
+
+    if (rotation) {
+      analytics.trackEasterEgg(name);
+
+      // A new easter egg replaces one still playing
+      this.introSequence.abortRotations();
+      this.introSequence.playRotation({ id: name, ...rotation });
+    }
+  }
+
+  /**
+   * Show progress on the TYPO sequence (READY only)
+   */
+  onSequenceProgress(name, matched) {
+    if (name === "typo" && this.state === STATES.READY) {
+      this.typoProgress.update(matched);
+    }
+  }
+
+  /**
+   * Clear progress when a sequence resets; a wrong key gets feedback
+   */
+  onSequenceReset(name, reason) {
+    if (name !== "typo" || this.state !== STATES.READY) return;
+
+    if (reason === "miss") {
+      this.typoProgress.fail();
+    } else {
+      this.typoProgress.clear();
+    }
+  }
+
+  /**
+   * Press the full keyboard key matching a physical key
+   */
+  handleFreeTypingKey(code, event) {
+    const keyModel = this.keyboardLayout.getKeyByCode(code);
+    if (!keyModel) return;
+
+    // Keep Space from scrolling the page while typing
+    if (code === "Space") {
+      event.preventDefault();
+    }
+
+    analytics.trackKeyPress(keyModel.letter || code, "keyboard");
+    this.holdKey(code, keyModel);
+  }
+
+  /**
+   * Handle a key from a gamepad or MIDI device
+   * @param {string} source - "gamepad" or "midi"
+   * @param {string} code - KeyboardEvent.code the input maps to
+   * @param {string} eventType - "keydown" or "keyup"
+   * @param {number} velocity - Press strength (0-1)
+   * @param {string|number} input - Device input held (e.g. MIDI note);
+   *   defaults to the code
+   */
+  handleDeviceKey(source, code, eventType, velocity, input = code) {
+    const key = keyFromCode(code) ?? code;
+    const id = `${source}:${input}`; // Held separately from the keyboard
+
+    // Sequences count in READY and MAIN (Konami on a d-pad)
+    if (this.state === STATES.READY || this.state === STATES.MAIN) {
+      this.sequences.track(key, eventType);
+    }
+
+    if (eventType === "keyup") {
+      this.releaseHeldKey(id);
+      return;
+    }
+
+    let keyModel = null;
+    if (this.freeTyping) {
+      keyModel = this.keyboardLayout.getKeyByCode(code);
+    } else if (this.state === STATES.MAIN) {
+      keyModel =
+        this.keyboardLayout.getTypoKey(key) ??
+        this.keyboardLayout.getStudioKey(key);
+    }
+    if (!keyModel) return;
+
+    analytics.trackKeyPress(keyModel.letter || code, source);
+    this.holdKey(id, keyModel, { velocity });
+  }
+
+  /**
+   * Hold down the TYPO key matching a typed letter (MAIN only)
+   */
+  handleBrandKey(code, key) {
+    if (this.state !== STATES.MAIN || !key) return;
+
+    const keyModel = this.keyboardLayout.getTypoKey(key);
+    if (keyModel) {
+      this.holdKey(code, keyModel);
+    }
+  }
+
+  /**
+   * Typematic repeat while a physical key is held
+   */
+  handleKeyRepeat(code, event, key) {
+    this.heldKeys.get(code)?.repeat();
+
+    if (this.freeTyping) {
+      // Keep Space from scrolling the page while held
+      if (code === "Space") {
+        event.preventDefault();
+      }
+    } else if (this.state === STATES.MAIN && key === "Backspace") {
+      // Holding Backspace keeps deleting spelled letters
+      this.handleSpellKey(event, key);
+    }
+  }
+
+  /**
+   * Spell typed text on the keys (type-to-spell)
+   */
+  handleSpellKey(event, key) {
+    const target = event.target instanceof Element ? event.target : null;
+
+    // Leave form fields and focused links/buttons alone
+    if (target?.closest("input, textarea, select, [contenteditable]")) return;
+    if (key === "Enter" && target?.closest("a, button")) return;
+
+    if (this.typeToSpell.handleKey(key) && key === "Enter") {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Press and release a key with sound (committed IME text)
+   * @param {KeyModel} keyModel - Key to press
+   */
+  pressKey(keyModel) {
+    keyModel.press();
+    this.audioManager.playKeyPress();
+    setTimeout(() => keyModel.release(), 100);
+  }
+
+  /**
+   * Press a key and keep it down until its physical key is released
+   * @param {string|null} code - Physical KeyboardEvent.code (or device input ID)
+   * @param {KeyModel} keyModel - Key to hold
+   * @param {Object} options - Options
+   * @param {number} options.velocity - Press depth and volume (0-1)
+   */
+  holdKey(code, keyModel, { velocity = 1 } = {}) {
+    // Without a code there is no keyup to wait for
+    if (!code) {
+      this.pressKey(keyModel);
+      return;
+    }
+
+    if (this.heldKeys.has(code)) return;
+    this.heldKeys.set(code, keyModel);
+
+    keyModel.press(velocity);
+    this.audioManager.playKeyPress({ upstroke: false, volume: velocity });
+  }
+
+  /**
+   * Release the key held by a physical key, with the upstroke sound
+   * @param {string} code - Physical KeyboardEvent.code
+   */
+  releaseHeldKey(code) {
+    const keyModel = this.heldKeys.get(code);
+    if (!keyModel) return;
+
+    this.heldKeys.delete(code);
+    this.audioManager.playKeyRelease();
+
+    // Another input may still hold the same key (e.g. MIDI notes an octave
+    // apart); it comes up with the last one
+    if ([...this.heldKeys.values()].includes(keyModel)) return;
+    keyModel.release();
+  }
+
+  /**
+   * Release every held key (window blur, leaving the main view)
+   */
+  releaseAllKeys() {
+    for (const code of [...this.heldKeys.keys()]) {
+      this.releaseHeldKey(code);
+    }
+  }
+
+  /**
+   * Switch colorway - the theme event carries it to the page, lights, keys
+   * and theme controls
+   * @param {string} id - Palette id (see CONFIG.palettes)
+   */
+  setPalette(id) {
+    const palette = applyPalette(id, {
+      duration: prefersReducedMotion() ? 0 : CONFIG.theme.transition,
+    });
+
+    // Persist (the theme mode too, so the dark/light default follows)
+    setPalette(palette.id);
+    setTheme(palette.mode);
+  }
+
+  /**
+   * Switch between the brand keys and the full keyboard
+   * @param {boolean} enabled - Free typing enabled
+   */
+  async setFreeTyping(enabled) {
+    if (enabled === this.freeTyping) return;
+    this.freeTyping = enabled;
+    this.releaseAllKeys();
+
+    // The spell row would overlap the full keyboard
+    if (enabled) {
+      this.typeToSpell.clear();
+    }
+
+    // Keep the toggle in sync when switched programmatically
+    if (this.freeTypingToggle?.isEnabled() !== enabled) {
+      this.freeTypingToggle?.setEnabled(enabled, false);
+    }
+
+    const { freeTyping } = CONFIG.narration;
+    this.narrator?.announce(enabled ? freeTyping.on : freeTyping.off);
+    await this.keyboardLayout.setFullKeyboardVisible(enabled);
+  }
+
+  /**
+   * Load the debug tools in development, or one with ?debug=intro or
+   * ?debug=sound
+   */
+  async initDebugTools() {
+    const debugParam = new URLSearchParams(window.location.search).get("debug");
+    const isDev = import.meta.env.DEV;
+
+    // Collapsed by default in development unless explicitly requested
+    if (isDev || debugParam === "intro") {
+      try {
+        const { IntroDebugOverlay } =
+          await import("./debug/IntroDebugOverlay.js");
+        this.introDebugOverlay = new IntroDebugOverlay(this, {
+          expanded: debugParam === "intro",
+        });
+      } catch (error) {
+        console.warn("Failed to load intro debug overlay:", error);
+      }
+    }
+
+    if (isDev || debugParam === "sound") {
+      try {
+        const { SoundDesignerPanel } =
+          await import("./debug/SoundDesignerPanel.js");
+        this.soundDesignerPanel = new SoundDesignerPanel(this, {
+          expanded: debugParam === "sound",
+        });
+      } catch (error) {
+        console.warn("Failed to load sound designer panel:", error);
+      }
+    }
   }
 
   /**
@@ -242,9 +738,16 @@ export class App {
    */
   update(delta, elapsed) {
     // Update shimmer on all visible keys
-    if (this.state === STATES.READY || this.state === STATES.MAIN) {
+    if (
+      this.state === STATES.READY ||
+      this.state === STATES.MAIN ||
+      this.state === STATES.TRANSITIONING
+    ) {
       this.keyboardLayout.updateShimmer(elapsed);
     }
+
+    // Draw the keys' current transforms and state
+    this.keyboardLayout.syncInstances();
   }
 
   /**
@@ -267,6 +770,7 @@ export class App {
     this.state = newState;
 
     this.onStateChange(newState);
+    this.narrator?.onStateChange(newState, this.previousState);
     return true;
   }
 
@@ -282,8 +786,11 @@ export class App {
         break;
 
       case STATES.INTRO:
-        // Hide hint during intro
+        // Hide hint during intro (and drop any TYPO progress)
         this.hintEl?.classList.add("hidden");
+        this.sequences?.reset("typo");
+        this.typoProgress?.clear();
+        this.releaseAllKeys();
         break;
 
       case STATES.MAIN:
@@ -296,7 +803,7 @@ export class App {
   /**
    * Trigger intro sequence
    */
-  triggerIntro(keyLetter) {
+  triggerIntro(keyLetter, method = "click") {
     // Prevent triggering if not in READY state
     if (this.state !== STATES.READY) {
       return;
@@ -306,22 +813,168 @@ export class App {
       return;
     }
 
-    analytics.trackIntroTriggered("click", keyLetter);
+    analytics.trackIntroTriggered(method, keyLetter);
+
+    // Returning visitors get the short variant
+    this.playIntro(keyLetter, { returning: hasCompletedIntro() });
+  }
 
-    // Skip intro animation for users who prefer reduced motion
+  /**
+   * Play the intro (or skip it for users who prefer reduced motion)
+   * @param {string} keyLetter - The key that triggered the intro
+   * @param {Object} options - Options passed to IntroSequence.play
+   */
+  playIntro(keyLetter, options = {}) {
     if (prefersReducedMotion()) {
       this.introSequence.skip();
     } else {
-      this.introSequence.play(keyLetter);
+      this.introSequence.play(keyLetter, options);
     }
   }
 
+  /**
+   * Replay the full intro from the main view
+   */
+  async replayIntro() {
+    if (this.state !== STATES.MAIN) return;
+    if (!this.setState(STATES.INTRO)) return;
+
+    analytics.trackIntroTriggered("replay", null);
+
+    // Back to the home route with the scene in its pre-intro arrangement
+    this.router.navigate({ section: null });
+    this.navigation.setActive(null);
+    this.navigation.hide();
+    await Promise.all([
+      this.contentSections.hideSection(),
+      this.setFreeTyping(false),
+      this.typeToSpell.clear(),
+    ]);
+
+    this.playIntro("T");
+  }
+
   /**
    * Called when intro sequence completes
+   * @param {number} duration - How long the intro took (0 when skipped)
    */
-  onIntroComplete() {
+  onIntroComplete(duration) {
     this.setState(STATES.MAIN);
-    analytics.trackIntroComplete(CONFIG.intro.totalDuration);
+    markIntroCompleted();
+    analytics.trackIntroComplete(duration);
+
+    this.applyPendingRoute();
+  }
+
+  /**
+   * Open a deep link: skip the intro straight into MAIN with the section open
+   * @param {{section: string|null, slug: string|null}} route - Route to open
+   */
+  openDeepLink(route) {
+    if (this.state !== STATES.READY) return;
+    if (!this.setState(STATES.INTRO)) return;
+
+    analytics.trackIntroTriggered("deeplink", route.section);
+
+    // Opened by onIntroComplete once MAIN is reached
+    this.pendingRoute = route;
+    this.introSequence.skip();
+  }
+
+  /**
+   * Handle back/forward navigation and hash changes from the router
+   * @param {{section: string|null, slug: string|null}} route - New route
+   */
+  handleRoute(route) {
+    switch (this.state) {
+      case STATES.READY:
+        if (this.contentSections.hasSection(route.section)) {
+          this.openDeepLink(route);
+        }
+        break;
+
+      case STATES.MAIN:
+        this.navigateTo(route.section, route.slug, { updateHistory: false });
+        break;
+
+      default:
+        // Applied once the intro or current transition finishes
+        this.pendingRoute = route;
+    }
+  }
+
+  /**
+   * Navigate to a route queued while the app was busy
+   */
+  applyPendingRoute() {
+    if (!this.pendingRoute || this.state !== STATES.MAIN) return;
+
+    const { section, slug } = this.pendingRoute;
+    this.pendingRoute = null;
+    this.navigateTo(section, slug, { updateHistory: false });
+  }
+
+  /**
+   * Resolve a route against the available sections and items
+   * Unknown sections fall back to home, unknown items to their section
+   */
+  resolveRoute(section, slug) {
+    if (!section || !this.contentSections.hasSection(section)) {
+      return { section: null, slug: null };
+    }
+
+    return {
+      section,
+      slug: this.contentSections.hasItem(section, slug) ? slug : null,
+    };
+  }
+
+  /**
+   * Navigate to a content section (MAIN -> TRANSITIONING -> MAIN)
+   * @param {string|null} section - Section ID, or null to close the content
+   * @param {string|null} slug - Optional item within the section
+   * @param {Object} options - Options
+   * @param {boolean} options.updateHistory - Push the route onto history
+   * @returns {Promise<boolean>} True if the section changed
+   */
+  async navigateTo(section, slug = null, { updateHistory = true } = {}) {
+    if (this.state !== STATES.MAIN) return false;
+
+    const route = this.resolveRoute(section, slug);
+    if (updateHistory) {
+      this.router.navigate(route);
+    } else if (route.section !== section || route.slug !== slug) {
+      // Fix up invalid links in the address bar
+      this.router.replace(route);
+    }
+
+    const previousSection = this.contentSections.getCurrentSection();
+    if (route.section === previousSection) {
+      this.contentSections.focusItem(route.slug);
+      return false;
+    }
+
+    this.setState(STATES.TRANSITIONING);
+    this.navigation.setActive(route.section);
+    analytics.trackNavigation(route.section, previousSection);
+
+    try {
+      if (route.section) {
+        await this.contentSections.showSection(route.section);
+        this.contentSections.focusItem(route.slug);
+      } else {
+        await this.contentSections.hideSection();
+      }
+    } finally {
+      this.setState(STATES.MAIN);
+    }
+
+    if (route.section) {
+      analytics.trackSectionView(route.section);
+    }
+
+    this.applyPendingRoute();
+    return true;
   }
 
   /**
@@ -375,7 +1028,17 @@ export class App {
    * Clean up resources
    */
   dispose() {
+    this.unsubscribeTheme?.();
     this.keyboardHandler?.detach();
+    this.gamepadHandler?.detach();
+    this.midiHandler?.detach();
+    this.sequences?.dispose();
+    this.typoProgress?.dispose();
+    this.keyAccessibility?.dispose();
+    this.narrator?.dispose();
+    this.router?.dispose();
+    this.introDebugOverlay?.dispose();
+    this.soundDesignerPanel?.dispose();
     this.sceneManager?.dispose();
     this.audioManager?.dispose();
   }
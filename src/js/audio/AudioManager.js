@@ -1,8 +1,44 @@
 /**
- * AudioManager - Web Audio API sound system with Cherry MX Blue modal synthesis
+ * AudioManager - Web Audio API sound system with modal synthesis
+ * Key sounds come from the selected switch profile (see switchProfiles.js)
  */
 
 import { CONFIG } from "../../config.js";
+import { getSwitchProfile, MODE_SPREAD } from "./switchProfiles.js";
+
+// Noise exciters: fill a buffer with noise of each color
+const NOISE_GENERATORS = {
+  // Integrated white noise: most energy low, warm impacts
+  brown(data) {
+    let lastOut = 0;
+    for (let i = 0; i < data.length; i++) {
+      const white = Math.random() * 2 - 1;
+      lastOut = (lastOut + 0.02 * white) / 1.02;
+      data[i] = lastOut * 3.5;
+    }
+  },
+
+  // -3 dB/octave (Paul Kellet's economy filter): between brown and white
+  pink(data) {
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    for (let i = 0; i < data.length; i++) {
+      const white = Math.random() * 2 - 1;
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+    }
+  },
+
+  // Flat spectrum: bright, sharp transients (clicks, spring pings)
+  white(data) {
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (Math.random() * 2 - 1) * 0.25;
+    }
+  },
+};
 
 export class AudioManager {
   constructor() {
@@ -11,7 +47,8 @@ export class AudioManager {
     this.typingLoopSource = null;
     this.typingLoopBuffer = null;
     this.keyPressBuffer = null;
-    this.brownNoiseBuffer = null;
+    this.noiseBuffers = new Map(); // Exciter type -> AudioBuffer
+    this.profile = getSwitchProfile(CONFIG.audio.switchProfile);
     this.enabled = true;
     this.initialized = false;
     this.typingLoopTimeout = null;
@@ -29,13 +66,14 @@ export class AudioManager {
       this.masterGain.connect(this.context.destination);
       this.masterGain.gain.value = CONFIG.audio.masterVolume;
 
-      // Resume context (required after user interaction)
-      if (this.context.state === "suspended") {
-        await this.context.resume();
-      }
+      // Resume context (required after user interaction). Not awaited: without
+      // a user gesture (e.g. a deep link) resume() stays pending until one occurs
+      this.resume();
 
-      // Generate brown noise buffer for modal synthesis
-      this.brownNoiseBuffer = this.createBrownNoiseBuffer();
+      // Generate noise exciter buffers for modal synthesis
+      for (const type of Object.keys(NOISE_GENERATORS)) {
+        this.noiseBuffers.set(type, this.createNoiseBuffer(type));
+      }
 
       this.initialized = true;
 
@@ -48,24 +86,68 @@ export class AudioManager {
   }
 
   /**
-   * Create brown noise buffer for modal synthesis
+   * Resume a suspended context (call from a user gesture)
+   */
+  resume() {
+    if (this.context?.state === "suspended") {
+      this.context.resume().catch(() => {
+        // Still blocked by autoplay policy - retried on next key press
+      });
+    }
+  }
+
+  /**
+   * Create a noise buffer for modal synthesis
+   * @param {string} type - Exciter type (brown, pink, white)
    */
-  createBrownNoiseBuffer() {
+  createNoiseBuffer(type) {
     const sampleRate = this.context.sampleRate;
     const length = Math.floor(sampleRate * 0.05);
     const buffer = this.context.createBuffer(1, length, sampleRate);
-    const data = buffer.getChannelData(0);
 
-    let lastOut = 0;
-    for (let i = 0; i < length; i++) {
-      const white = Math.random() * 2 - 1;
-      lastOut = (lastOut + 0.02 * white) / 1.02;
-      data[i] = lastOut * 3.5;
-    }
+    NOISE_GENERATORS[type](buffer.getChannelData(0));
 
     return buffer;
   }
 
+  /**
+   * Select the switch profile key sounds are synthesized from
+   * @param {string} id - Profile id (see SWITCH_PROFILES)
+   * @returns {Object} Selected profile
+   */
+  setSwitchProfile(id) {
+    this.profile = getSwitchProfile(id);
+    return this.profile;
+  }
+
+  /**
+   * Play key sounds from a profile description rather than a registered id
+   * (the sound designer edits its profile in place while it plays)
+   * @param {Object} profile - Profile (see parseSwitchProfile)
+   */
+  useSwitchProfile(profile) {
+    this.profile = profile;
+  }
+
+  /**
+   * Get the selected switch profile
+   */
+  getSwitchProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Tap the output with an AnalyserNode (e.g. for a spectrum view)
+   * @returns {AnalyserNode|null} Analyser, null before init()
+   */
+  createAnalyser() {
+    if (!this.context) return null;
+
+    const analyser = this.context.createAnalyser();
+    this.masterGain.connect(analyser);
+    return analyser;
+  }
+
   /**
    * Load audio files (optional, falls back to synthetic)
    */
@@ -154,20 +236,56 @@ export class AudioManager {
   /**
    * Play key press sound
    */
-  playKeyPress() {
+  playKeyPress({ upstroke = true, volume = 1 } = {}) {
     if (!this.enabled || !this.initialized) return;
 
+    this.resume();
+
     if (this.keyPressBuffer) {
-      this.playBuffer(this.keyPressBuffer);
+      this.playBuffer(this.keyPressBuffer, volume);
     } else {
-      this.playModalKeypress();
+      this.playModalKeypress({ upstroke, volume });
+    }
+  }
+
+  /**
+   * Play the upstroke of a held key being released
+   */
+  playKeyRelease() {
+    if (!this.enabled || !this.initialized) return;
+
+    this.resume();
+    this.triggerUpstroke(this.context.currentTime);
+  }
+
+  /**
+   * Play the wrong key sound: a dull, detuned double knock
+   */
+  playWrongKey() {
+    if (!this.enabled || !this.initialized) return;
+
+    this.resume();
+    const t = this.context.currentTime;
+
+    for (const delay of [0, 0.09]) {
+      this.triggerModalImpact(t + delay, {
+        duration: 0.012,
+        modes: [
+          { freq: 110, Q: 12, gain: 0.8 },
+          { freq: 117, Q: 12, gain: 0.6 }, // Beats against 110 Hz
+          { freq: 330, Q: 4, gain: 0.15 },
+        ],
+        masterGain: 0.5,
+      });
     }
   }
 
   /**
    * Play audio buffer with slight variation
+   * @param {AudioBuffer} buffer - Sound to play
+   * @param {number} volume - Volume scale (0-1)
    */
-  playBuffer(buffer) {
+  playBuffer(buffer, volume = 1) {
     const source = this.context.createBufferSource();
     source.buffer = buffer;
 
@@ -175,7 +293,7 @@ export class AudioManager {
     source.playbackRate.value = 0.95 + Math.random() * 0.1;
 
     const pressGain = this.context.createGain();
-    pressGain.gain.value = CONFIG.audio.keyPressVolume;
+    pressGain.gain.value = CONFIG.audio.keyPressVolume * volume;
 
     source.connect(pressGain);
     pressGain.connect(this.masterGain);
@@ -189,49 +307,52 @@ export class AudioManager {
   }
 
   /**
-   * Play Cherry MX Blue modal synthesis keypress
-   * 3 events: click mechanism, bottom-out impact, upstroke return
+   * Play a modal synthesis keypress from the switch profile's press events
+   * (e.g. click mechanism and bottom-out), then its release events
+   * @param {Object} options - Options
+   * @param {boolean} options.upstroke - Include the upstroke (false while the
+   *   key is held; playKeyRelease plays it on release)
+   * @param {number} options.volume - Volume scale (0-1, e.g. MIDI velocity)
    */
-  playModalKeypress() {
-    if (!this.context || !this.brownNoiseBuffer) return;
+  playModalKeypress({ upstroke = true, volume = 1 } = {}) {
+    if (!this.context) return;
 
     const t = this.context.currentTime;
 
-    // Event 1: Click mechanism (t + 0ms)
-    this.triggerModalImpact(t, {
-      duration: 0.002,
-      modes: [
-        { freq: 1100 * this.rand(0.97, 1.03), Q: 8, gain: 0.5 },
-        { freq: 2200 * this.rand(0.97, 1.03), Q: 5, gain: 0.25 },
-        { freq: 3800 * this.rand(0.97, 1.03), Q: 3, gain: 0.1 },
-      ],
-      masterGain: 0.4,
-    });
+    for (const event of this.profile.press) {
+      this.triggerProfileEvent(t, event, volume);
+    }
 
-    // Event 2: Bottom-out impact (t + 1.5ms) - the main "thock"
-    this.triggerModalImpact(t + 0.0015, {
-      duration: 0.004,
-      modes: [
-        { freq: 160 * this.rand(0.95, 1.05), Q: 28, gain: 0.7 },
-        { freq: 280 * this.rand(0.95, 1.05), Q: 22, gain: 0.5 },
-        { freq: 520 * this.rand(0.97, 1.03), Q: 18, gain: 1.0 },
-        { freq: 780 * this.rand(0.97, 1.03), Q: 14, gain: 0.6 },
-        { freq: 1150 * this.rand(0.97, 1.03), Q: 10, gain: 0.35 },
-        { freq: 1800 * this.rand(0.97, 1.03), Q: 6, gain: 0.2 },
-        { freq: 2900 * this.rand(0.97, 1.03), Q: 4, gain: 0.1 },
-      ],
-      masterGain: 0.8,
-    });
+    if (upstroke) {
+      this.triggerUpstroke(t + this.profile.releaseDelay);
+    }
+  }
+
+  /**
+   * Upstroke return: the keycap hitting the top of its travel
+   */
+  triggerUpstroke(startTime) {
+    for (const event of this.profile.release) {
+      this.triggerProfileEvent(startTime, event);
+    }
+  }
 
-    // Event 3: Upstroke return (t + 55ms)
-    this.triggerModalImpact(t + 0.055, {
-      duration: 0.0015,
-      modes: [
-        { freq: 1250 * this.rand(0.97, 1.03), Q: 7, gain: 0.3 },
-        { freq: 2000 * this.rand(0.97, 1.03), Q: 5, gain: 0.15 },
-        { freq: 200 * this.rand(0.95, 1.05), Q: 15, gain: 0.2 },
-      ],
-      masterGain: 0.25,
+  /**
+   * Trigger one profile event, varying its mode frequencies
+   * @param {number} startTime - Stroke start (context time)
+   * @param {Object} event - Profile event (see switchProfiles.js)
+   * @param {number} volume - Volume scale (0-1)
+   */
+  triggerProfileEvent(startTime, event, volume = 1) {
+    this.triggerModalImpact(startTime + event.at, {
+      exciter: event.exciter ?? this.profile.exciter,
+      duration: event.duration,
+      modes: event.modes.map(({ freq, Q, gain, spread = MODE_SPREAD }) => ({
+        freq: freq * this.rand(1 - spread, 1 + spread),
+        Q,
+        gain,
+      })),
+      masterGain: event.gain * volume,
     });
   }
 
@@ -243,7 +364,7 @@ export class AudioManager {
 
     // Create noise exciter
     const exciter = ctx.createBufferSource();
-    exciter.buffer = this.brownNoiseBuffer;
+    exciter.buffer = this.noiseBuffers.get(config.exciter ?? "brown");
 
     // Exciter envelope
     const exciterGain = ctx.createGain();
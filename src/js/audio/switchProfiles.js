@@ -0,0 +1,361 @@
+/**
+ * Switch Profiles - Modal synthesis descriptions of keyboard switches
+ *
+ * A profile is data only: the noise exciter and the impact events a key
+ * press makes (press) and that its return makes (release, releaseDelay
+ * seconds after the press when played as one stroke). Each event excites a
+ * bank of bandpass modes for `duration` seconds; `at` offsets it from the
+ * stroke, `gain` is its master gain. Modes may set `spread`, their random
+ * frequency variation (default 3%). See keyboard-sound-settings.md for the
+ * Blue values and the reasoning behind them.
+ *
+ * The same shape is the sound designer's JSON format (parseSwitchProfile).
+ */
+
+import { CONFIG } from "../../config.js";
+
+// Noise exciter types (AudioManager generates one buffer of each)
+export const EXCITERS = ["brown", "pink", "white"];
+
+// Default random frequency variation of a mode
+export const MODE_SPREAD = 0.03;
+
+export const SWITCH_PROFILES = {
+  // Cherry MX Blue - clicky: click jacket, bottom-out, upstroke click
+  blue: {
+    name: "Cherry MX Blue",
+    exciter: "brown",
+    releaseDelay: 0.055,
+    press: [
+      {
+        name: "click",
+        at: 0,
+        duration: 0.002,
+        gain: 0.4,
+        modes: [
+          { freq: 1100, Q: 8, gain: 0.5 },
+          { freq: 2200, Q: 5, gain: 0.25 },
+          { freq: 3800, Q: 3, gain: 0.1 },
+        ],
+      },
+      {
+        name: "bottomOut",
+        at: 0.0015,
+        duration: 0.004,
+        gain: 0.8,
+        modes: [
+          { freq: 160, Q: 28, gain: 0.7, spread: 0.05 },
+          { freq: 280, Q: 22, gain: 0.5, spread: 0.05 },
+          { freq: 520, Q: 18, gain: 1.0 },
+          { freq: 780, Q: 14, gain: 0.6 },
+          { freq: 1150, Q: 10, gain: 0.35 },
+          { freq: 1800, Q: 6, gain: 0.2 },
+          { freq: 2900, Q: 4, gain: 0.1 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.0015,
+        gain: 0.25,
+        modes: [
+          { freq: 1250, Q: 7, gain: 0.3 },
+          { freq: 2000, Q: 5, gain: 0.15 },
+          { freq: 200, Q: 15, gain: 0.2, spread: 0.05 },
+        ],
+      },
+    ],
+  },
+
+  // Cherry MX Brown - tactile bump instead of a click, softer upstroke
+  brown: {
+    name: "Cherry MX Brown",
+    exciter: "brown",
+    releaseDelay: 0.055,
+    press: [
+      {
+        name: "bump",
+        at: 0,
+        duration: 0.002,
+        gain: 0.12,
+        modes: [
+          { freq: 900, Q: 6, gain: 0.4 },
+          { freq: 1700, Q: 4, gain: 0.2 },
+        ],
+      },
+      {
+        name: "bottomOut",
+        at: 0.004,
+        duration: 0.004,
+        gain: 0.75,
+        modes: [
+          { freq: 160, Q: 28, gain: 0.7, spread: 0.05 },
+          { freq: 280, Q: 22, gain: 0.5, spread: 0.05 },
+          { freq: 520, Q: 18, gain: 1.0 },
+          { freq: 780, Q: 14, gain: 0.55 },
+          { freq: 1150, Q: 10, gain: 0.3 },
+          { freq: 1800, Q: 6, gain: 0.15 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.0015,
+        gain: 0.2,
+        modes: [
+          { freq: 1100, Q: 6, gain: 0.25 },
+          { freq: 1900, Q: 5, gain: 0.12 },
+          { freq: 200, Q: 15, gain: 0.2, spread: 0.05 },
+        ],
+      },
+    ],
+  },
+
+  // Cherry MX Red - linear: only the bottom-out and a light return
+  red: {
+    name: "Cherry MX Red",
+    exciter: "brown",
+    releaseDelay: 0.05,
+    press: [
+      {
+        name: "bottomOut",
+        at: 0,
+        duration: 0.004,
+        gain: 0.75,
+        modes: [
+          { freq: 150, Q: 28, gain: 0.75, spread: 0.05 },
+          { freq: 270, Q: 22, gain: 0.55, spread: 0.05 },
+          { freq: 500, Q: 18, gain: 1.0 },
+          { freq: 760, Q: 14, gain: 0.5 },
+          { freq: 1100, Q: 9, gain: 0.25 },
+          { freq: 1700, Q: 5, gain: 0.12 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.0015,
+        gain: 0.18,
+        modes: [
+          { freq: 1000, Q: 6, gain: 0.2 },
+          { freq: 180, Q: 15, gain: 0.25, spread: 0.05 },
+        ],
+      },
+    ],
+  },
+
+  // Topre - rubber dome under a spring: muted, deep "thock", no click
+  topre: {
+    name: "Topre",
+    exciter: "pink",
+    releaseDelay: 0.07,
+    press: [
+      {
+        name: "domeCollapse",
+        at: 0,
+        duration: 0.006,
+        gain: 0.15,
+        modes: [
+          { freq: 400, Q: 4, gain: 0.4 },
+          { freq: 700, Q: 3, gain: 0.2 },
+        ],
+      },
+      {
+        name: "bottomOut",
+        at: 0.003,
+        duration: 0.006,
+        gain: 0.9,
+        modes: [
+          { freq: 120, Q: 24, gain: 0.8, spread: 0.05 },
+          { freq: 210, Q: 20, gain: 0.6, spread: 0.05 },
+          { freq: 380, Q: 14, gain: 1.0 },
+          { freq: 620, Q: 10, gain: 0.45 },
+          { freq: 950, Q: 7, gain: 0.2 },
+          { freq: 1500, Q: 4, gain: 0.08 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.004,
+        gain: 0.2,
+        modes: [
+          { freq: 300, Q: 10, gain: 0.4, spread: 0.05 },
+          { freq: 650, Q: 6, gain: 0.2 },
+        ],
+      },
+    ],
+  },
+
+  // Alps SKCM Blue - sharp, high click and a bright bottom-out
+  alps: {
+    name: "Alps SKCM Blue",
+    exciter: "white",
+    releaseDelay: 0.045,
+    press: [
+      {
+        name: "click",
+        at: 0,
+        duration: 0.0015,
+        gain: 0.55,
+        modes: [
+          { freq: 1600, Q: 10, gain: 0.5 },
+          { freq: 3100, Q: 7, gain: 0.35 },
+          { freq: 5200, Q: 4, gain: 0.15 },
+        ],
+      },
+      {
+        name: "bottomOut",
+        at: 0.002,
+        duration: 0.003,
+        gain: 0.6,
+        exciter: "brown",
+        modes: [
+          { freq: 190, Q: 24, gain: 0.55, spread: 0.05 },
+          { freq: 340, Q: 18, gain: 0.45, spread: 0.05 },
+          { freq: 640, Q: 16, gain: 0.9 },
+          { freq: 980, Q: 12, gain: 0.5 },
+          { freq: 1500, Q: 8, gain: 0.3 },
+          { freq: 2600, Q: 5, gain: 0.15 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.0015,
+        gain: 0.3,
+        modes: [
+          { freq: 1500, Q: 8, gain: 0.35 },
+          { freq: 2800, Q: 6, gain: 0.2 },
+          { freq: 230, Q: 14, gain: 0.15, spread: 0.05 },
+        ],
+      },
+    ],
+  },
+
+  // IBM buckling spring - the spring buckles (with a ringing ping) and the
+  // hammer hits the membrane over a heavy steel plate
+  bucklingSpring: {
+    name: "Buckling spring",
+    exciter: "brown",
+    releaseDelay: 0.07,
+    press: [
+      {
+        name: "buckle",
+        at: 0,
+        duration: 0.003,
+        gain: 0.6,
+        modes: [
+          { freq: 900, Q: 9, gain: 0.5 },
+          { freq: 2400, Q: 6, gain: 0.35 },
+          { freq: 4200, Q: 4, gain: 0.15 },
+        ],
+      },
+      {
+        name: "springPing",
+        at: 0.001,
+        duration: 0.002,
+        gain: 0.12,
+        exciter: "white",
+        modes: [
+          { freq: 3300, Q: 70, gain: 0.4, spread: 0.01 },
+          { freq: 4700, Q: 60, gain: 0.2, spread: 0.01 },
+        ],
+      },
+      {
+        name: "bottomOut",
+        at: 0.006,
+        duration: 0.005,
+        gain: 0.9,
+        modes: [
+          { freq: 110, Q: 30, gain: 0.8, spread: 0.05 },
+          { freq: 190, Q: 26, gain: 0.6, spread: 0.05 },
+          { freq: 430, Q: 16, gain: 0.9 },
+          { freq: 700, Q: 12, gain: 0.5 },
+          { freq: 1100, Q: 8, gain: 0.3 },
+          { freq: 1900, Q: 5, gain: 0.15 },
+        ],
+      },
+    ],
+    release: [
+      {
+        name: "upstroke",
+        at: 0,
+        duration: 0.003,
+        gain: 0.35,
+        modes: [
+          { freq: 800, Q: 8, gain: 0.35 },
+          { freq: 2100, Q: 6, gain: 0.25 },
+          { freq: 3300, Q: 60, gain: 0.2, spread: 0.01 },
+          { freq: 160, Q: 15, gain: 0.25, spread: 0.05 },
+        ],
+      },
+    ],
+  },
+};
+
+/**
+ * Get a switch profile by id
+ * @param {string} id - Profile id (unknown ids fall back to the default)
+ * @returns {Object} Profile, with its id
+ */
+export function getSwitchProfile(id) {
+  const profileId = Object.hasOwn(SWITCH_PROFILES, id)
+    ? id
+    : CONFIG.audio.switchProfile;
+  return { id: profileId, ...SWITCH_PROFILES[profileId] };
+}
+
+/**
+ * Check a profile description (e.g. imported JSON) and copy it
+ * @param {Object} data - Profile description
+ * @returns {Object} Profile AudioManager can play
+ * @throws {Error} Describing the first invalid field
+ */
+export function parseSwitchProfile(data) {
+  const fail = (message) => {
+    throw new Error(`Invalid switch profile: ${message}`);
+  };
+  const checkNumbers = (object, fields, path) => {
+    for (const field of fields) {
+      if (!Number.isFinite(object?.[field])) {
+        fail(`${path}.${field} must be a number`);
+      }
+    }
+  };
+
+  if (!data || typeof data !== "object") fail("expected an object");
+  if (!EXCITERS.includes(data.exciter)) {
+    fail(`unknown exciter "${data.exciter}"`);
+  }
+  checkNumbers(data, ["releaseDelay"], "profile");
+
+  for (const section of ["press", "release"]) {
+    if (!Array.isArray(data[section])) fail(`${section} must be an array`);
+
+    data[section].forEach((event, i) => {
+      const path = `${section}[${i}]`;
+      checkNumbers(event, ["at", "duration", "gain"], path);
+      if (event.exciter !== undefined && !EXCITERS.includes(event.exciter)) {
+        fail(`${path}.exciter "${event.exciter}" is unknown`);
+      }
+      if (!Array.isArray(event.modes)) fail(`${path}.modes must be an array`);
+
+      event.modes.forEach((mode, j) => {
+        checkNumbers(mode, ["freq", "Q", "gain"], `${path}.modes[${j}]`);
+      });
+    });
+  }
+
+  return { id: "custom", name: "Custom", ...structuredClone(data) };
+}
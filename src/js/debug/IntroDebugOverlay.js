@@ -0,0 +1,236 @@
+/**
+ * IntroDebugOverlay - Dev-only scrubbable view of the intro timeline
+ * Loaded on demand in development or with ?debug=intro
+ */
+
+import "../../styles/debug.css";
+import { clamp } from "../utils/helpers.js";
+
+export class IntroDebugOverlay {
+  constructor(app, { expanded = true } = {}) {
+    this.app = app;
+    this.introSequence = app.introSequence;
+    this.sceneManager = app.sceneManager;
+
+    this.timeline = null;
+    this.isDragging = false;
+    this.highlightedKey = null;
+    this.removeUpdateListener = null;
+
+    this.element = null;
+    this.trackArea = null;
+    this.playhead = null;
+    this.timeLabel = null;
+
+    this.init(expanded);
+  }
+
+  /**
+   * Build the overlay and follow the timeline every frame
+   */
+  init(expanded) {
+    this.element = document.createElement("div");
+    this.element.className = "intro-debug";
+    this.element.setAttribute("role", "region");
+    this.element.setAttribute("aria-label", "Intro debug timeline");
+    this.element.classList.toggle("collapsed", !expanded);
+
+    this.element.innerHTML = `
+      <div class="intro-debug-header">
+        <button type="button" class="intro-debug-toggle" data-action="toggle">
+          Intro timeline
+        </button>
+        <span class="intro-debug-time"></span>
+      </div>
+      <div class="intro-debug-body">
+        <div class="intro-debug-controls">
+          <button type="button" data-action="play">Play</button>
+          <button type="button" data-action="pause">Pause</button>
+          <button type="button" data-action="reverse">Reverse</button>
+          <button type="button" data-action="end">End</button>
+        </div>
+        <div class="intro-debug-tracks">
+          <div class="intro-debug-playhead"></div>
+        </div>
+        <div class="intro-debug-steps"></div>
+      </div>
+    `;
+
+    this.trackArea = this.element.querySelector(".intro-debug-tracks");
+    this.playhead = this.element.querySelector(".intro-debug-playhead");
+    this.timeLabel = this.element.querySelector(".intro-debug-time");
+
+    this.element.addEventListener("click", (e) => this.handleClick(e));
+    this.initScrubbing();
+
+    document.body.appendChild(this.element);
+
+    this.removeUpdateListener = this.sceneManager.addUpdateListener(() =>
+      this.update(),
+    );
+    this.update();
+  }
+
+  /**
+   * Handle control and step buttons
+   */
+  handleClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    const timeline = this.introSequence.getTimeline();
+
+    switch (button.dataset.action) {
+      case "toggle":
+        this.element.classList.toggle("collapsed");
+        break;
+      case "play":
+        this.introSequence.playFrom(
+          timeline.time >= timeline.duration ? 0 : timeline.time,
+        );
+        break;
+      case "pause":
+        this.introSequence.pause();
+        break;
+      case "reverse":
+        this.introSequence.playFrom(timeline.time, -timeline.direction);
+        break;
+      case "end":
+        this.introSequence.seek(timeline.duration);
+        break;
+      case "step":
+        this.introSequence.playFrom(Number(button.dataset.time));
+        break;
+    }
+  }
+
+  /**
+   * Drag anywhere on the track area to scrub the playhead
+   */
+  initScrubbing() {
+    this.trackArea.addEventListener("pointerdown", (e) => {
+      this.isDragging = true;
+      this.trackArea.setPointerCapture(e.pointerId);
+      this.scrubTo(e.clientX);
+    });
+
+    this.trackArea.addEventListener("pointermove", (e) => {
+      if (this.isDragging) {
+        this.scrubTo(e.clientX);
+      }
+    });
+
+    const endDrag = () => {
+      this.isDragging = false;
+    };
+    this.trackArea.addEventListener("pointerup", endDrag);
+    this.trackArea.addEventListener("pointercancel", endDrag);
+  }
+
+  /**
+   * Seek to the time under a screen x coordinate
+   */
+  scrubTo(clientX) {
+    const rect = this.trackArea.getBoundingClientRect();
+    const fraction = clamp((clientX - rect.left) / rect.width, 0, 1);
+    const { duration } = this.introSequence.getTimeline();
+
+    this.introSequence.seek(fraction * duration);
+  }
+
+  /**
+   * Sync the overlay with the current timeline (called every frame)
+   */
+  update() {
+    const timeline = this.introSequence.getTimeline();
+
+    // A new timeline is created each time the intro plays
+    if (timeline !== this.timeline) {
+      this.timeline = timeline;
+      this.renderTracks();
+      this.renderSteps();
+    }
+
+    const fraction = timeline.duration ? timeline.time / timeline.duration : 0;
+    this.playhead.style.left = `${fraction * 100}%`;
+    this.timeLabel.textContent = `${Math.round(timeline.time)} / ${timeline.duration} ms`;
+  }
+
+  /**
+   * Render one row per track with a marker per event
+   */
+  renderTracks() {
+    this.trackArea
+      .querySelectorAll(".intro-debug-row")
+      .forEach((row) => row.remove());
+
+    const { duration } = this.timeline;
+
+    for (const track of this.timeline.tracks) {
+      const row = document.createElement("div");
+      row.className = "intro-debug-row";
+
+      const label = document.createElement("span");
+      label.className = "intro-debug-label";
+      label.textContent = track.id;
+      row.appendChild(label);
+
+      for (const event of track.events) {
+        const marker = document.createElement("span");
+        marker.className = `intro-debug-event intro-debug-event-${event.type}`;
+        marker.style.left = `${(event.start / duration) * 100}%`;
+        marker.style.width = `${(event.duration / duration) * 100}%`;
+        marker.title = `${event.type} ${event.target} @ ${event.start}ms`;
+
+        marker.addEventListener("pointerenter", () =>
+          this.highlightKey(event.target),
+        );
+        marker.addEventListener("pointerleave", () => this.highlightKey(null));
+
+        row.appendChild(marker);
+      }
+
+      this.trackArea.insertBefore(row, this.playhead);
+    }
+  }
+
+  /**
+   * Render a "replay from here" button per anchor step
+   */
+  renderSteps() {
+    const container = this.element.querySelector(".intro-debug-steps");
+    container.innerHTML = "";
+
+    const steps = Object.entries(this.timeline.steps).sort(
+      ([, a], [, b]) => a - b,
+    );
+
+    for (const [name, time] of steps) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.action = "step";
+      button.dataset.time = String(time);
+      button.textContent = `${name} ${time}`;
+      button.title = `Replay from ${name}`;
+      container.appendChild(button);
+    }
+  }
+
+  /**
+   * Highlight the key an event targets (hover on its marker)
+   */
+  highlightKey(target) {
+    this.highlightedKey?.hover(false);
+    this.highlightedKey = target ? this.introSequence.resolveKey(target) : null;
+    this.highlightedKey?.hover(true);
+  }
+
+  /**
+   * Remove the overlay
+   */
+  dispose() {
+    this.removeUpdateListener?.();
+    this.highlightKey(null);
+    this.element.remove();
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * SoundDesignerPanel - Dev-only editor for switch sound profiles
+ * Loaded on demand in development or with ?debug=sound
+ *
+ * Edits a copy of the current switch profile in place while AudioManager
+ * plays it, so every slider change is heard on the next audition. Profiles
+ * export and import as the JSON shape of SWITCH_PROFILES entries.
+ */
+
+import "../../styles/debug.css";
+import { CONFIG } from "../../config.js";
+import {
+  SWITCH_PROFILES,
+  EXCITERS,
+  MODE_SPREAD,
+  getSwitchProfile,
+  parseSwitchProfile,
+} from "../audio/switchProfiles.js";
+import { getSwitchPreference } from "../utils/storage.js";
+
+// Slider ranges per field; frequency sliders are logarithmic
+const FIELDS = {
+  releaseDelay: { label: "Release delay", min: 0, max: 0.15, step: 0.0005 },
+  at: { label: "At", min: 0, max: 0.05, step: 0.0005 },
+  duration: { label: "Exciter", min: 0.0005, max: 0.02, step: 0.0005 },
+  gain: { label: "Gain", min: 0, max: 1.5, step: 0.01 },
+  freq: { label: "Hz", min: 40, max: 8000, log: true },
+  Q: { label: "Q", min: 0.5, max: 100, step: 0.5 },
+  spread: { label: "Spread", min: 0, max: 0.1, step: 0.005 },
+};
+
+// Spectrum view frequency range (log scale)
+const SPECTRUM_MIN = 40;
+const SPECTRUM_MAX = 8000;
+
+/**
+ * Field value as slider text
+ */
+function formatValue(field, value) {
+  if (field === "freq") return `${Math.round(value)}`;
+  if (["releaseDelay", "at", "duration"].includes(field)) {
+    return `${(value * 1000).toFixed(1)} ms`;
+  }
+  return value.toFixed(field === "Q" ? 1 : 2);
+}
+
+/**
+ * Position (0-1) of a frequency on a log axis
+ */
+function logPosition(freq, min, max) {
+  return Math.log(freq / min) / Math.log(max / min);
+}
+
+export class SoundDesignerPanel {
+  constructor(app, { expanded = true } = {}) {
+    this.app = app;
+    this.audioManager = app.audioManager;
+    this.sceneManager = app.sceneManager;
+
+    this.profile = null;
+    this.analyser = null;
+    this.spectrum = null;
+    this.removeUpdateListener = null;
+
+    this.element = null;
+    this.eventsContainer = null;
+    this.canvas = null;
+    this.status = null;
+
+    this.init(expanded);
+  }
+
+  /**
+   * Build the panel and draw the spectrum every frame
+   */
+  init(expanded) {
+    this.element = document.createElement("div");
+    this.element.className = "sound-designer";
+    this.element.setAttribute("role", "region");
+    this.element.setAttribute("aria-label", "Sound designer");
+    this.element.classList.toggle("collapsed", !expanded);
+
+    this.element.innerHTML = `
+      <div class="sound-designer-header">
+        <button type="button" class="sound-designer-toggle" data-action="toggle">
+          Sound designer
+        </button>
+        <span class="sound-designer-status" aria-live="polite"></span>
+      </div>
+      <div class="sound-designer-body">
+        <div class="sound-designer-controls">
+          <select data-action="load" aria-label="Load profile"></select>
+          <select data-field="exciter" aria-label="Exciter"></select>
+          <button type="button" data-action="play">Press</button>
+          <button type="button" data-action="play-press">Down</button>
+          <button type="button" data-action="play-release">Up</button>
+          <button type="button" data-action="export">Export</button>
+          <button type="button" data-action="import">Import</button>
+          <input type="file" accept="application/json,.json" hidden />
+        </div>
+        <canvas class="sound-designer-spectrum" width="520" height="110"></canvas>
+        <div class="sound-designer-events"></div>
+      </div>
+    `;
+
+    this.eventsContainer = this.element.querySelector(".sound-designer-events");
+    this.canvas = this.element.querySelector("canvas");
+    this.status = this.element.querySelector(".sound-designer-status");
+
+    const loadSelect = this.element.querySelector('[data-action="load"]');
+    for (const [id, profile] of Object.entries(SWITCH_PROFILES)) {
+      loadSelect.append(new Option(profile.name, id));
+    }
+    const exciterSelect = this.element.querySelector('[data-field="exciter"]');
+    for (const exciter of EXCITERS) {
+      exciterSelect.append(new Option(exciter, exciter));
+    }
+
+    this.element.addEventListener("click", (e) => this.handleClick(e));
+    this.element.addEventListener("input", (e) => this.handleInput(e));
+    this.element.addEventListener("change", (e) => this.handleChange(e));
+
+    // Typing in the panel shouldn't press the 3D keys; releases still reach
+    // the window so a key pressed before focusing the panel comes back up
+    for (const type of ["keydown", "keypress"]) {
+      this.element.addEventListener(type, (e) => e.stopPropagation());
+    }
+
+    this.element
+      .querySelector('input[type="file"]')
+      .addEventListener("change", (e) => this.importFile(e.target));
+
+    document.body.appendChild(this.element);
+
+    this.setProfile(structuredClone(this.audioManager.getSwitchProfile()));
+
+    this.removeUpdateListener = this.sceneManager.addUpdateListener(() =>
+      this.drawSpectrum(),
+    );
+  }
+
+  /**
+   * Edit (and play) a profile
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    this.audioManager.useSwitchProfile(profile);
+
+    this.element.querySelector('[data-action="load"]').value = Object.hasOwn(
+      SWITCH_PROFILES,
+      profile.id,
+    )
+      ? profile.id
+      : "";
+    this.element.querySelector('[data-field="exciter"]').value =
+      profile.exciter;
+
+    this.renderEvents();
+  }
+
+  /**
+   * Render a fieldset per event with its sliders and modes
+   */
+  renderEvents() {
+    this.eventsContainer.innerHTML = "";
+    this.eventsContainer.append(
+      this.createSlider("releaseDelay", this.profile.releaseDelay, ""),
+    );
+
+    for (const section of ["press", "release"]) {
+      this.profile[section].forEach((event, index) => {
+        this.eventsContainer.append(
+          this.createEventFieldset(event, `${section}.${index}`),
+        );
+      });
+    }
+  }
+
+  /**
+   * Fieldset for one event: timing, exciter, gain and a row per mode
+   */
+  createEventFieldset(event, path) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "sound-designer-event";
+
+    const legend = document.createElement("legend");
+    legend.textContent = `${path.split(".")[0]}: ${event.name ?? "event"}`;
+    fieldset.append(legend);
+
+    const controls = document.createElement("div");
+    controls.className = "sound-designer-row";
+
+    const exciter = document.createElement("select");
+    exciter.dataset.field = "exciter";
+    exciter.dataset.path = path;
+    exciter.setAttribute("aria-label", "Event exciter");
+    exciter.append(new Option("profile exciter", ""));
+    for (const type of EXCITERS) {
+      exciter.append(new Option(type, type));
+    }
+    exciter.value = event.exciter ?? "";
+
+    controls.append(
+      this.createButton("Play", "play-event", path),
+      this.createButton("Add mode", "add-mode", path),
+      exciter,
+    );
+    fieldset.append(controls);
+
+    for (const field of ["at", "duration", "gain"]) {
+      fieldset.append(this.createSlider(field, event[field], path));
+    }
+
+    event.modes.forEach((mode, index) => {
+      const modePath = `${path}.modes.${index}`;
+      const row = document.createElement("div");
+      row.className = "sound-designer-mode";
+
+      for (const field of ["freq", "Q", "gain", "spread"]) {
+        row.append(
+          this.createSlider(field, mode[field] ?? MODE_SPREAD, modePath),
+        );
+      }
+      row.append(this.createButton("×", "remove-mode", modePath, "Remove"));
+      fieldset.append(row);
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Labelled range input bound to a profile field
+   */
+  createSlider(field, value, path) {
+    const { label, min, max, step, log } = FIELDS[field];
+    const wrapper = document.createElement("label");
+    wrapper.className = "sound-designer-slider";
+
+    const input = document.createElement("input");
+    input.type = "range";
+    input.dataset.field = field;
+    input.dataset.path = path;
+    if (log) {
+      input.min = "0";
+      input.max = "1";
+      input.step = "0.001";
+      input.value = String(logPosition(value, min, max));
+    } else {
+      input.min = String(min);
+      input.max = String(max);
+      input.step = String(step);
+      input.value = String(value);
+    }
+
+    const output = document.createElement("output");
+    output.textContent = formatValue(field, value);
+
+    wrapper.append(`${label} `, input, output);
+    return wrapper;
+  }
+
+  /**
+   * Button carrying an action and the path it acts on
+   */
+  createButton(text, action, path, title = text) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.dataset.action = action;
+    button.dataset.path = path;
+    return button;
+  }
+
+  /**
+   * Object in the profile at a dotted path ("press.1.modes.2")
+   */
+  resolve(path) {
+    return path
+      .split(".")
+      .filter(Boolean)
+      .reduce((object, key) => object[key], this.profile);
+  }
+
+  /**
+   * Sliders edit the profile in place
+   */
+  handleInput(event) {
+    const input = event.target;
+    if (input.type !== "range") return;
+
+    const { field, path } = input.dataset;
+    const { min, max, log } = FIELDS[field];
+    const value = log
+      ? min * (max / min) ** Number(input.value)
+      : Number(input.value);
+
+    this.resolve(path)[field] = value;
+    input.nextElementSibling.textContent = formatValue(field, value);
+  }
+
+  /**
+   * Exciter and profile selects
+   */
+  handleChange(event) {
+    const select = event.target;
+    if (select.tagName !== "SELECT") return;
+
+    if (select.dataset.action === "load") {
+      this.setProfile(structuredClone(getSwitchProfile(select.value)));
+      this.setStatus(`Loaded ${this.profile.name}`);
+      return;
+    }
+
+    if (select.dataset.field === "exciter") {
+      const target = this.resolve(select.dataset.path ?? "");
+      if (select.value) {
+        target.exciter = select.value;
+      } else {
+        delete target.exciter;
+      }
+    }
+  }
+
+  /**
+   * Panel buttons
+   */
+  handleClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    const { path } = button.dataset;
+
+    switch (button.dataset.action) {
+      case "toggle":
+        this.element.classList.toggle("collapsed");
+        break;
+      case "play":
+        this.audition(() => this.audioManager.playModalKeypress());
+        break;
+      case "play-press":
+        this.audition((time) => this.playEvents(this.profile.press, time));
+        break;
+      case "play-release":
+        this.audition((time) => this.playEvents(this.profile.release, time));
+        break;
+      case "play-event":
+        this.audition((time) => this.playEvents([this.resolve(path)], time));
+        break;
+      case "add-mode":
+        this.resolve(path).modes.push({ freq: 1000, Q: 10, gain: 0.3 });
+        this.renderEvents();
+        break;
+      case "remove-mode": {
+        const [eventPath, index] = path.split(".modes.");
+        this.resolve(eventPath).modes.splice(Number(index), 1);
+        this.renderEvents();
+        break;
+      }
+      case "export":
+        this.exportProfile();
+        break;
+      case "import":
+        this.element.querySelector('input[type="file"]').click();
+        break;
+    }
+  }
+
+  /**
+   * Trigger profile events at a time
+   */
+  playEvents(events, time) {
+    for (const event of events) {
+      this.audioManager.triggerProfileEvent(time, event);
+    }
+  }
+
+  /**
+   * Start audio if needed (auditions are user gestures), then play
+   * Silent while the visitor has sound turned off, like the keys
+   * @param {Function} play - Called with the context time to play at
+   */
+  async audition(play) {
+    if (!this.audioManager.enabled) {
+      this.setStatus("Sound is off");
+      return;
+    }
+
+    await this.audioManager.init();
+    const { context } = this.audioManager;
+    if (!context) {
+      this.setStatus("Audio unavailable");
+      return;
+    }
+
+    this.audioManager.resume();
+    if (!this.analyser) {
+      this.analyser = this.audioManager.createAnalyser();
+      this.analyser.fftSize = 4096;
+      this.analyser.smoothingTimeConstant = 0.6;
+      this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+
+    // The site's switch picker may have swapped the profile out
+    this.audioManager.useSwitchProfile(this.profile);
+    play(context.currentTime);
+
+    this.setStatus(this.audioManager.enabled ? "" : "Sound is off");
+  }
+
+  /**
+   * Draw the output spectrum with the profile's modes marked (every frame)
+   */
+  drawSpectrum() {
+    if (!this.analyser || this.element.classList.contains("collapsed")) return;
+
+    const ctx = this.canvas.getContext("2d");
+    const { width, height } = this.canvas;
+    const style = getComputedStyle(this.element);
+
+    this.analyser.getByteFrequencyData(this.spectrum);
+    const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Mode markers
+    ctx.fillStyle = style.getPropertyValue("--border-secondary");
+    for (const event of [...this.profile.press, ...this.profile.release]) {
+      for (const mode of event.modes) {
+        const x = logPosition(mode.freq, SPECTRUM_MIN, SPECTRUM_MAX) * width;
+        ctx.fillRect(Math.round(x), 0, 1, height);
+      }
+    }
+
+    // Spectrum, one column per pixel on a log frequency axis
+    ctx.fillStyle = style.getPropertyValue("--accent");
+    for (let x = 0; x < width; x++) {
+      const freq = SPECTRUM_MIN * (SPECTRUM_MAX / SPECTRUM_MIN) ** (x / width);
+      const level = this.spectrum[Math.round(freq / binWidth)] / 255;
+      ctx.fillRect(x, height * (1 - level), 1, height * level);
+    }
+  }
+
+  /**
+   * Download the profile as JSON
+   */
+  exportProfile() {
+    const { id, ...profile } = this.profile;
+    const blob = new Blob([JSON.stringify(profile, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${id}.json`;
+    link.click();
+    // The download starts asynchronously; revoke once it has the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.setStatus(`Exported ${id}.json`);
+  }
+
+  /**
+   * Load a profile from a JSON file
+   */
+  async importFile(input) {
+    const [file] = input.files;
+    input.value = "";
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const id = file.name.replace(/\.json$/i, "");
+      this.setProfile(parseSwitchProfile({ id, ...data }));
+      this.setStatus(`Imported ${file.name}`);
+    } catch (error) {
+      console.warn("Failed to import switch profile:", error);
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Show a short status message
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Remove the panel and go back to the visitor's saved switch profile
+   */
+  dispose() {
+    this.removeUpdateListener?.();
+    this.audioManager.setSwitchProfile(
+      getSwitchPreference(CONFIG.audio.switchProfile),
+    );
+    if (this.analyser) {
+      this.audioManager.masterGain.disconnect(this.analyser);
+    }
+    this.element.remove();
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * TypeToSpell - Spells the visitor's typed text on the keys after the intro
+ * Letters spawn keys, Backspace removes the last one and Enter plays a
+ * flourish across the word before clearing it.
+ */
+
+import { CONFIG } from "../../config.js";
+import { animate, easings } from "../utils/easing.js";
+import { wait } from "../utils/helpers.js";
+import { analytics } from "../utils/analytics.js";
+
+// Characters that can be spelled
+const SPELLABLE = /^[A-Z0-9]$/;
+
+export class TypeToSpell {
+  constructor(app) {
+    this.app = app;
+    this.isFlourishing = false;
+  }
+
+  /**
+   * Handle a key press while spelling
+   * @param {string} key - Layout-aware key (see utils/keyboard.js resolveKey)
+   * @returns {boolean} True if the key was used
+   */
+  handleKey(key) {
+    if (this.isFlourishing || !key) return false;
+
+    if (SPELLABLE.test(key)) {
+      this.type(key);
+      return true;
+    }
+
+    if (key === "Backspace") {
+      return this.backspace();
+    }
+
+    if (key === "Enter") {
+      return this.submit();
+    }
+
+    return false;
+  }
+
+  /**
+   * Spell a letter
+   * @param {string} letter - Letter or digit
+   */
+  type(letter) {
+    const { keyboardLayout, audioManager } = this.app;
+
+    keyboardLayout.spellLetter(letter);
+    audioManager.playKeyPress();
+  }
+
+  /**
+   * Remove the last letter
+   * @returns {boolean} False when nothing is spelled
+   */
+  backspace() {
+    const { keyboardLayout, audioManager } = this.app;
+    if (keyboardLayout.getSpelledKeys().length === 0) return false;
+
+    keyboardLayout.unspellLetter();
+    audioManager.playKeyPress();
+    return true;
+  }
+
+  /**
+   * Play the flourish over the spelled word, then clear it
+   * @returns {boolean} False when nothing is spelled
+   */
+  submit() {
+    const keys = this.app.keyboardLayout.getSpelledKeys();
+    if (keys.length === 0) return false;
+
+    analytics.trackWordSpelled(keys.length);
+    this.flourish(keys);
+    return true;
+  }
+
+  /**
+   * Press wave with a flip along the word, left to right
+   */
+  async flourish(keys) {
+    const { keyboardLayout, audioManager } = this.app;
+    const stagger = CONFIG.timing.spellFlourishStagger;
+
+    this.isFlourishing = true;
+
+    await Promise.all(
+      keys.map(async (key, index) => {
+        await wait(index * stagger);
+
+        audioManager.playKeyPress();
+        key.press();
+        // Full turn of the cap, landing on the same letter
+        await animate(
+          CONFIG.timing.keyRevealDuration,
+          (progress) =>
+            key.setFlipProgress(progress, key.baseLetter, key.baseLetter),
+          easings.easeInOut,
+        );
+        await key.release();
+      }),
+    );
+
+    await keyboardLayout.clearSpelled();
+    this.isFlourishing = false;
+  }
+
+  /**
+   * Clear the spelled word (e.g. when leaving the main view)
+   */
+  clear() {
+    return this.app.keyboardLayout.clearSpelled();
+  }
+}
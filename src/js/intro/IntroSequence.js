@@ -1,154 +1,305 @@
 /**
  * IntroSequence - Orchestrates the intro animation
  * STUDIO keys fade in place, then all keys slide right
+ *
+ * The sequence is data (CONFIG.intro.tracks) played by a Timeline; this class
+ * maps timeline event types onto the scene, audio and navigation.
  */
 
 import { CONFIG } from "../../config.js";
-import { wait } from "../utils/helpers.js";
+import { easings } from "../utils/easing.js";
+import { Timeline } from "./Timeline.js";
+import { createRotationTracks } from "./LetterRotation.js";
+
+// Default event durations (ms) when a track event doesn't set one
+const DEFAULT_DURATIONS = {
+  press: CONFIG.timing.keyPressDuration,
+  release: CONFIG.timing.keyReleaseDuration,
+  reveal: CONFIG.timing.keyRevealDuration,
+  slide: CONFIG.timing.slideRightDuration,
+};
 
 export class IntroSequence {
   constructor(app) {
     this.app = app;
     this.isPlaying = false;
-    this.letterRotationAborted = false;
+    this.timeline = null;
+    this.triggeredKey = "T";
+
+    // Standalone letter rotations (see playRotation)
+    this.rotations = new Set();
+  }
+
+  /**
+   * Build the intro timeline from CONFIG.intro (tracks plus rotations)
+   * @param {Object} options - Options
+   * @param {string[]} options.excludeTracks - Track or rotation IDs to leave out
+   * @returns {Timeline} Intro timeline
+   */
+  createTimeline({ excludeTracks = [] } = {}) {
+    const rotationTracks = CONFIG.intro.rotations.flatMap((rotation) =>
+      createRotationTracks(rotation),
+    );
+
+    const tracks = [...CONFIG.intro.tracks, ...rotationTracks]
+      .filter(
+        (track) =>
+          !excludeTracks.includes(track.id) &&
+          !excludeTracks.includes(track.group),
+      )
+      .map((track) => ({
+        ...track,
+        events: track.events.map((event) => ({
+          duration: DEFAULT_DURATIONS[event.type] ?? 0,
+          ...event,
+        })),
+      }));
+
+    return new Timeline({
+      tracks,
+      steps: CONFIG.intro.steps,
+      duration: CONFIG.intro.totalDuration,
+      handlers: this.createHandlers(),
+    });
+  }
+
+  /**
+   * Get the current intro timeline, creating one if the intro hasn't played
+   */
+  getTimeline() {
+    if (!this.timeline) {
+      this.timeline = this.createTimeline();
+    }
+    return this.timeline;
+  }
+
+  /**
+   * Timeline event handlers (see Timeline for the apply/trigger contract)
+   */
+  createHandlers() {
+    const { keyboardLayout, audioManager, navigation, narrator } = this.app;
+
+    return {
+      press: {
+        apply: (event, progress) => {
+          this.resolveKey(event.target)?.setPressDepth(
+            easings.keyPress(progress),
+          );
+        },
+      },
+
+      release: {
+        apply: (event, progress) => {
+          this.resolveKey(event.target)?.setPressDepth(
+            1 - easings.keyRelease(progress),
+          );
+        },
+      },
+
+      reveal: {
+        apply: (event, progress) => {
+          this.resolveKey(event.target)?.setRevealProgress(
+            easings.easeOut(progress),
+          );
+        },
+      },
+
+      setLetter: {
+        apply: (event, progress, previousEvent) => {
+          const key = this.resolveKey(event.target);
+          if (!key) return;
+
+          // Flip from the previous legend (the key's own before the first)
+          const fromLetter = previousEvent?.letter ?? key.baseLetter;
+          const easing = easings[event.easing] ?? easings.easeInOut;
+          key.setFlipProgress(easing(progress), fromLetter, event.letter);
+        },
+      },
+
+      slide: {
+        apply: (event, progress) => {
+          const distance = event.distance ?? CONFIG.layout.slideDistance;
+          keyboardLayout.setSlideOffset(distance * easings.easeInOut(progress));
+        },
+      },
+
+      showNav: {
+        apply: (event, progress) => {
+          if (progress > 0) {
+            navigation.show();
+          } else {
+            navigation.hide();
+          }
+        },
+      },
+
+      playSound: {
+        trigger: (event) => {
+          if (event.sound === "typingLoop") {
+            audioManager.startTypingLoop();
+          } else {
+            audioManager.playKeyPress();
+          }
+        },
+      },
+
+      stopSound: {
+        trigger: () => {
+          audioManager.stopTypingLoop();
+        },
+      },
+
+      narrate: {
+        trigger: (event) => {
+          narrator?.announce(event.message);
+        },
+      },
+    };
+  }
+
+  /**
+   * Resolve a track target ("trigger", "typo.O", "studio.S") to a key
+   * Any layout group name works ("<group>.<legend>")
+   */
+  resolveKey(target) {
+    const { keyboardLayout } = this.app;
+
+    if (target === "trigger") {
+      return keyboardLayout.getTypoKey(this.triggeredKey);
+    }
+
+    const [group, letter] = target.split(".");
+    if (!letter) return null;
+
+    return keyboardLayout.getGroupKey(group, letter) ?? null;
   }
 
   /**
    * Play the intro sequence
    * @param {string} triggeredKey - The key that triggered the intro
+   * @param {Object} options - Options
+   * @param {boolean} options.returning - Play the short returning variant
    */
-  async play(triggeredKey) {
+  async play(triggeredKey, { returning = false } = {}) {
     if (this.isPlaying) return;
     this.isPlaying = true;
-    this.letterRotationAborted = false;
+    this.triggeredKey = triggeredKey;
 
-    // Start CARE -> O letter rotation (fire-and-forget, runs in parallel)
-    const oKey = this.app.keyboardLayout.getTypoKey("O");
-    if (oKey) {
-      this.playLetterRotation(oKey);
-    }
+    // Easter egg rotations settle on their final letters
+    this.abortRotations();
 
-    const { steps } = CONFIG.intro;
+    // Returning visitors get a faster cut without the brand message
+    const { rate, excludeTracks } = returning
+      ? CONFIG.intro.returning
+      : { rate: 1, excludeTracks: [] };
 
     try {
-      // 0.0s - Initialize audio and start typing loop
+      // Initialize audio before the timeline starts the typing loop
       await this.app.audioManager.init();
-      this.app.audioManager.startTypingLoop();
-
-      // 0.2s - Press the triggered key (TYPO key only)
-      await wait(steps.keyPress);
-      const key = this.app.keyboardLayout.getTypoKey(triggeredKey);
-      if (key) {
-        key.press();
-        this.app.audioManager.playKeyPress();
-      }
-
-      // 0.4s - Release key
-      await wait(steps.keyRelease - steps.keyPress);
-      if (key) {
-        key.release();
-      }
-
-      // 0.6s - STUDIO keys fade in place (staggered, left to right)
-      await wait(steps.studioRevealStart - steps.keyRelease);
-
-      const studioLetters = ["S", "T", "U", "D", "I", "O"];
-      for (const letter of studioLetters) {
-        const studioKey = this.app.keyboardLayout.getStudioKey(letter);
-        if (studioKey) {
-          studioKey.reveal(); // Non-blocking reveal
-          this.app.audioManager.playKeyPress();
-        }
-        await wait(CONFIG.timing.studioRevealStagger);
-      }
-
-      // Calculate remaining time before slide
-      const revealDuration =
-        studioLetters.length * CONFIG.timing.studioRevealStagger;
-      const waitBeforeSlide =
-        steps.slideStart - steps.studioRevealStart - revealDuration;
-      if (waitBeforeSlide > 0) {
-        await wait(waitBeforeSlide);
-      }
-
-      // 1.5s - Slide entire arrangement right (keys move, camera static)
-      this.app.keyboardLayout.slideRight(
-        CONFIG.layout.slideDistance,
-        CONFIG.timing.slideRightDuration,
-      );
-
-      // 2.3s - Navigation fades in
-      await wait(steps.navReveal - steps.slideStart);
-      this.app.navigation.show();
-
-      // Stop typing loop
-      this.app.audioManager.stopTypingLoop();
-
-      // Wait for slide to complete
-      const remainingTime = CONFIG.intro.totalDuration - steps.navReveal;
-      if (remainingTime > 0) {
-        await wait(remainingTime);
-      }
+      if (!this.isPlaying) return; // Skipped while audio was starting
+
+      this.timeline?.dispose();
+      this.timeline = this.createTimeline({ excludeTracks });
+
+      const completed = await this.timeline.play({ rate });
+
+      // Cancelled by skip(), which completes the intro itself
+      if (!completed) return;
 
       this.isPlaying = false;
-      this.app.onIntroComplete();
+      this.app.onIntroComplete(this.timeline.duration / rate);
     } catch (error) {
       console.error("Intro sequence error:", error);
       this.isPlaying = false;
       // Force transition to main state on error
-      this.app.onIntroComplete();
+      this.app.onIntroComplete(0);
     }
   }
 
   /**
-   * Play CARE letter rotation on a key
-   * Spells C-A-R-E before settling on O (brand messaging)
-   * @param {KeyModel} keyModel - The key to animate
+   * Play a letter rotation on its own (e.g. an easter egg after the intro)
+   * @param {Object} rotation - Rotation definition (see LetterRotation.js)
+   * @returns {Promise<boolean>} True if it finished, false if aborted
+   */
+  async playRotation(rotation) {
+    const timeline = new Timeline({
+      tracks: createRotationTracks(rotation),
+      steps: CONFIG.intro.steps,
+      handlers: this.createHandlers(),
+    });
+
+    this.rotations.add(timeline);
+    const completed = await timeline.play();
+    this.rotations.delete(timeline);
+
+    return completed;
+  }
+
+  /**
+   * Abort standalone rotations, leaving each key on its final letter
    */
-  async playLetterRotation(keyModel) {
-    const letters = ["C", "A", "R", "E", "O"];
-    const intervalMs = 100; // 100ms per letter for readability
-
-    for (const letter of letters) {
-      if (this.letterRotationAborted) break;
-      keyModel.setLetter(letter);
-      await wait(intervalMs);
+  abortRotations() {
+    for (const timeline of this.rotations) {
+      timeline.cancel();
+      timeline.seek(timeline.duration);
     }
+    this.rotations.clear();
   }
 
   /**
    * Skip the intro (for accessibility or testing)
+   * Jumps the timeline to its end state
    */
   async skip() {
     this.isPlaying = false;
-    this.letterRotationAborted = true;
+    this.abortRotations();
 
-    // Ensure O key displays "O" (in case rotation was mid-cycle)
-    const oKey = this.app.keyboardLayout.getTypoKey("O");
-    if (oKey) {
-      oKey.setLetter("O");
-    }
+    const timeline = this.getTimeline();
+    timeline.cancel();
+    timeline.seek(timeline.duration);
+
+    // Seeking has no side effects - stop anything already playing
+    this.app.audioManager.stopTypingLoop();
 
     // Initialize audio (needed for key press sounds later)
     await this.app.audioManager.init();
 
-    // Immediately show all keys
-    const studioLetters = ["S", "T", "U", "D", "I", "O"];
-    for (const letter of studioLetters) {
-      const key = this.app.keyboardLayout.getStudioKey(letter);
-      if (key) {
-        key.isVisible = true;
-        key.group.visible = true;
-        key.group.scale.setScalar(1);
-        key.mesh.material.opacity = 1;
-      }
-    }
+    this.app.onIntroComplete(0);
+  }
 
-    // Move keys to final position
-    this.app.keyboardLayout.group.position.x = CONFIG.layout.slideDistance;
+  /**
+   * Pause the intro timeline and any looping sound (debug tools)
+   */
+  pause() {
+    this.getTimeline().pause();
+    this.app.audioManager.stopTypingLoop();
+  }
 
-    // Show UI
-    this.app.navigation.show();
-    this.app.onIntroComplete();
+  /**
+   * Jump to a time without playing (debug scrubbing)
+   * @param {number} time - Time in ms
+   */
+  seek(time) {
+    this.pause();
+    this.getTimeline().seek(time);
+  }
+
+  /**
+   * Play the timeline from a time in a direction (debug replay)
+   * A running intro continues and completes as usual; otherwise the
+   * timeline plays on its own without touching the app state.
+   * @param {number} time - Time in ms
+   * @param {number} direction - 1 = forward, -1 = backward
+   */
+  playFrom(time, direction = 1) {
+    const timeline = this.getTimeline();
+    timeline.seek(time);
+    timeline.setDirection(direction);
+
+    if (timeline.isActive()) {
+      timeline.resume();
+    } else {
+      timeline.play({ rate: 1 });
+    }
   }
 }
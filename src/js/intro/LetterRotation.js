@@ -0,0 +1,86 @@
+/**
+ * LetterRotation - Compiles brand word rotations into timeline tracks
+ *
+ * A rotation flips keys through a sequence of words:
+ *   { id: "care", targets: ["typo.O"], at: "audioInit", interval: 100, words: ["CARE", "O"] }
+ *
+ * With one target each word is spelled letter by letter on that key; with
+ * several targets each word is shown across them at once, one letter per key
+ * (e.g. targets typo.T/Y/P/O and words ["CARE", "TYPO"]). Words may be
+ * objects to override timing: { text: "CARE", interval: 150, intervals: [...] }.
+ */
+
+import { CONFIG } from "../../config.js";
+
+/**
+ * Expand a rotation's words into timed steps
+ * @param {Object} rotation - Rotation definition
+ * @returns {Array<{text: string, interval: number}>} Steps in order
+ */
+export function expandRotationSteps(rotation) {
+  const { targets, words, interval = 100 } = rotation;
+  const steps = [];
+
+  for (const word of words) {
+    const {
+      text,
+      interval: wordInterval = interval,
+      intervals = [],
+    } = typeof word === "string" ? { text: word } : word;
+
+    if (targets.length === 1) {
+      // Spell the word on a single key, one letter per step
+      [...text].forEach((letter, i) => {
+        steps.push({ text: letter, interval: intervals[i] ?? wordInterval });
+      });
+    } else {
+      steps.push({ text, interval: wordInterval });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Compile a rotation into one timeline track per target key
+ * @param {Object} rotation - Rotation definition
+ * @returns {Array} Timeline tracks of setLetter events
+ */
+export function createRotationTracks(rotation) {
+  const {
+    id,
+    targets,
+    at = 0,
+    offset = 0,
+    flip = CONFIG.timing.letterFlipDuration,
+    easing = "easeInOut",
+  } = rotation;
+
+  const steps = expandRotationSteps(rotation);
+
+  return targets.map((target, index) => {
+    const events = [];
+    let time = offset;
+
+    for (const step of steps) {
+      const letter = step.text[index];
+
+      // Shorter words (or spaces) leave the key as it is
+      if (letter && letter !== " ") {
+        events.push({
+          type: "setLetter",
+          at,
+          offset: time,
+          letter,
+          // A flip never runs into the next letter
+          duration: Math.min(flip, step.interval || flip),
+          easing,
+        });
+      }
+
+      time += step.interval;
+    }
+
+    return { id: `${id}.${target}`, group: id, target, events };
+  });
+}
@@ -0,0 +1,312 @@
+/**
+ * Timeline - Declarative, seekable event timeline
+ *
+ * A timeline is a set of tracks, each a list of keyed events on one target:
+ *   { id: "studio.S", target: "studio.S", events: [{ type: "reveal", at: "studioRevealStart", duration: 300 }] }
+ *
+ * Event times (`at`) are milliseconds or names of anchor steps, plus an
+ * optional `offset`. State is derived from the playhead alone: for each track
+ * the last event that has started is applied with its progress (0-1), so
+ * seeking or reversing always lands on the same scene state. Side effects
+ * such as sounds only fire while playing forward.
+ *
+ * Handlers are supplied per event type:
+ *   apply(event, progress, previousEvent) - render state
+ *   trigger(event)                        - one-shot side effect (e.g. sound)
+ */
+
+import { clamp } from "../utils/helpers.js";
+
+export class Timeline {
+  /**
+   * @param {Object} options - Timeline options
+   * @param {Array} options.tracks - Track definitions
+   * @param {Object} options.handlers - Event handlers keyed by event type
+   * @param {Object} options.steps - Named anchor times (ms)
+   * @param {number} options.duration - Minimum duration (ms)
+   * @param {Function} options.onUpdate - Called with the time after each render
+   */
+  constructor({
+    tracks = [],
+    handlers = {},
+    steps = {},
+    duration = 0,
+    onUpdate = null,
+  } = {}) {
+    this.handlers = handlers;
+    this.steps = steps;
+    this.onUpdate = onUpdate;
+
+    this.tracks = tracks.map((track) => this.normalizeTrack(track));
+    this.events = this.tracks
+      .flatMap((track) => track.events)
+      .sort((a, b) => a.start - b.start);
+    this.duration = Math.max(duration, this.getEventsEnd());
+
+    this.time = 0;
+    this.rate = 1;
+    this.direction = 1;
+    this.isPlaying = false;
+
+    this.animationId = null;
+    this.lastFrameTime = null;
+    this.resolvePlay = null;
+
+    // Last applied event/progress per track (avoids redundant renders)
+    this.applied = new Map();
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Resolve event times and sort each track's events
+   */
+  normalizeTrack(track) {
+    const events = track.events
+      .map((event) => ({
+        duration: 0,
+        ...event,
+        target: event.target ?? track.target,
+        track: track.id,
+        start: this.resolveTime(event.at) + (event.offset ?? 0),
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return { ...track, events };
+  }
+
+  /**
+   * Resolve an event time (ms or anchor step name)
+   */
+  resolveTime(at = 0) {
+    if (typeof at === "number") return at;
+
+    if (!(at in this.steps)) {
+      throw new Error(`Unknown timeline step: ${at}`);
+    }
+    return this.steps[at];
+  }
+
+  /**
+   * End time of the last event
+   */
+  getEventsEnd() {
+    return this.events.reduce(
+      (end, event) => Math.max(end, event.start + event.duration),
+      0,
+    );
+  }
+
+  /**
+   * Get all events across tracks, sorted by start time
+   */
+  getEvents() {
+    return this.events;
+  }
+
+  /**
+   * Play from the current time in the current direction
+   * @param {Object} options - Options
+   * @param {number} options.rate - Playback rate (2 = twice as fast)
+   * @returns {Promise<boolean>} True when the end is reached, false if cancelled
+   */
+  play({ rate = this.rate } = {}) {
+    this.rate = rate;
+
+    // Settle any previous play() call
+    this.resolvePlay?.(false);
+
+    return new Promise((resolve) => {
+      this.resolvePlay = resolve;
+
+      this.applied.clear();
+      this.render(this.time);
+      this.start();
+    });
+  }
+
+  /**
+   * Pause playback (play() stays pending until resumed or cancelled)
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  /**
+   * Resume paused playback
+   */
+  resume() {
+    if (this.isPlaying || !this.resolvePlay) return;
+    this.start();
+  }
+
+  /**
+   * Reverse the playback direction (keeps playing if playing)
+   */
+  reverse() {
+    this.direction *= -1;
+  }
+
+  /**
+   * Set the playback direction (1 = forward, -1 = backward)
+   */
+  setDirection(direction) {
+    this.direction = direction < 0 ? -1 : 1;
+  }
+
+  /**
+   * Whether a play() call is pending (playing or paused)
+   */
+  isActive() {
+    return this.resolvePlay !== null;
+  }
+
+  /**
+   * Stop playback; a pending play() resolves with false
+   */
+  cancel() {
+    this.pause();
+    this.finish(false);
+  }
+
+  /**
+   * Jump to a time and render the state there (no side effects)
+   * @param {number} time - Time in ms
+   */
+  seek(time) {
+    this.time = clamp(time, 0, this.duration);
+
+    // Full render - the scene may have changed outside the timeline
+    this.applied.clear();
+    this.render(this.time);
+  }
+
+  /**
+   * Start the frame loop
+   */
+  start() {
+    this.isPlaying = true;
+    this.lastFrameTime = null;
+    this.animationId = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Advance the playhead (frame callback)
+   */
+  tick(now) {
+    if (!this.isPlaying) return;
+
+    const delta =
+      this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) * this.rate;
+    this.lastFrameTime = now;
+
+    const previousTime = this.time;
+    this.time = clamp(this.time + delta * this.direction, 0, this.duration);
+
+    this.render(this.time);
+
+    if (this.direction === 1) {
+      this.fireTriggers(previousTime, this.time);
+    }
+
+    const reachedEnd =
+      this.direction === 1 ? this.time >= this.duration : this.time <= 0;
+
+    if (reachedEnd) {
+      this.pause();
+      this.finish(true);
+    } else {
+      this.animationId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  /**
+   * Settle the pending play() promise
+   */
+  finish(completed) {
+    const resolve = this.resolvePlay;
+    this.resolvePlay = null;
+    resolve?.(completed);
+  }
+
+  /**
+   * Render every track's state at a time
+   */
+  render(time) {
+    for (const track of this.tracks) {
+      this.renderTrack(track, time);
+    }
+    this.onUpdate?.(time);
+  }
+
+  /**
+   * Apply the active event of a track at a time
+   */
+  renderTrack(track, time) {
+    const { events } = track;
+    if (events.length === 0) return;
+
+    // Last event that has started (or the first, not yet started)
+    let index = -1;
+    for (let i = 0; i < events.length; i++) {
+      if (events[i].start <= time) index = i;
+    }
+
+    const event = events[Math.max(index, 0)];
+    const progress =
+      index === -1
+        ? 0
+        : event.duration > 0
+          ? clamp((time - event.start) / event.duration, 0, 1)
+          : 1;
+
+    const last = this.applied.get(track);
+    if (last && last.event === event && last.progress === progress) return;
+    this.applied.set(track, { event, progress });
+
+    const previousEvent = index > 0 ? events[index - 1] : null;
+    this.getHandler(event).apply?.(event, progress, previousEvent);
+  }
+
+  /**
+   * Fire one-shot triggers for events starting in [from, to)
+   * Events starting exactly at the end fire when the end is reached
+   */
+  fireTriggers(from, to) {
+    if (to <= from) return;
+    const atEnd = to >= this.duration;
+
+    for (const event of this.events) {
+      const inRange =
+        event.start >= from &&
+        (event.start < to || (atEnd && event.start === to));
+
+      if (inRange) {
+        this.getHandler(event).trigger?.(event);
+      }
+    }
+  }
+
+  /**
+   * Get the handler for an event type
+   */
+  getHandler(event) {
+    const handler = this.handlers[event.type];
+    if (!handler) {
+      throw new Error(`No timeline handler for event type: ${event.type}`);
+    }
+    return handler;
+  }
+
+  /**
+   * Stop playback and release the pending promise
+   */
+  dispose() {
+    this.cancel();
+    this.applied.clear();
+  }
+}
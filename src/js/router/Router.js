@@ -0,0 +1,121 @@
+/**
+ * Router - Hash-based routing for deep links into content sections
+ * Routes look like #/services, #/work/<slug>; #/ (or no hash) is the home view
+ */
+
+const ROUTE_PREFIX = "#/";
+
+export class Router {
+  constructor(onRoute) {
+    this.onRoute = onRoute;
+    this.currentPath = null;
+
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Start listening for back/forward and manual hash edits
+   * @returns {{section: string|null, slug: string|null}} Route for the current URL
+   */
+  start() {
+    window.addEventListener("popstate", this.handlePopState);
+    window.addEventListener("hashchange", this.handlePopState);
+
+    const route = this.getCurrentRoute();
+    this.currentPath = this.format(route);
+    return route;
+  }
+
+  /**
+   * Parse a location hash into a route
+   * @param {string} hash - Location hash (e.g. "#/work/project-alpha")
+   * @returns {{section: string|null, slug: string|null}} Parsed route
+   */
+  parse(hash) {
+    // Plain anchors (e.g. #content from the skip link) are not routes
+    if (!hash || !hash.startsWith(ROUTE_PREFIX)) {
+      return { section: null, slug: null };
+    }
+
+    const [section = null, slug = null] = hash
+      .slice(ROUTE_PREFIX.length)
+      .split("/")
+      .filter(Boolean)
+      .map((part) => decodeURIComponent(part).toLowerCase());
+
+    return { section, slug };
+  }
+
+  /**
+   * Format a route as a location hash
+   * @param {{section?: string|null, slug?: string|null}} route - Route to format
+   * @returns {string} Hash (e.g. "#/work/project-alpha")
+   */
+  format({ section = null, slug = null } = {}) {
+    if (!section) return ROUTE_PREFIX;
+
+    const parts = [section, slug].filter(Boolean).map(encodeURIComponent);
+    return ROUTE_PREFIX + parts.join("/");
+  }
+
+  /**
+   * Get the route for the current URL
+   */
+  getCurrentRoute() {
+    return this.parse(window.location.hash);
+  }
+
+  /**
+   * Push a route onto the history stack (does not trigger onRoute)
+   * @param {{section?: string|null, slug?: string|null}} route - Route to push
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Replace the current entry instead
+   */
+  navigate(route, { replace = false } = {}) {
+    const path = this.format(route);
+    if (path === this.currentPath) return;
+
+    this.currentPath = path;
+    const url = window.location.pathname + window.location.search + path;
+
+    if (replace) {
+      history.replaceState({ route }, "", url);
+    } else {
+      history.pushState({ route }, "", url);
+    }
+  }
+
+  /**
+   * Replace the current history entry with a route
+   */
+  replace(route) {
+    this.navigate(route, { replace: true });
+  }
+
+  /**
+   * Handle back/forward navigation and manual hash edits
+   */
+  handlePopState() {
+    const { hash } = window.location;
+
+    // Ignore in-page anchors such as the skip link
+    if (hash && !hash.startsWith(ROUTE_PREFIX)) return;
+
+    const route = this.parse(hash);
+    const path = this.format(route);
+
+    // popstate and hashchange can both fire for the same change
+    if (path === this.currentPath) return;
+
+    this.currentPath = path;
+    this.onRoute?.(route);
+  }
+
+  /**
+   * Stop listening for history changes
+   */
+  dispose() {
+    window.removeEventListener("popstate", this.handlePopState);
+    window.removeEventListener("hashchange", this.handlePopState);
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * KeyInstances - Draws every key with a few InstancedMeshes
+ *
+ * Keys stay KeyModels (a transform group plus color, opacity and glow state);
+ * this renderer groups them by keycap geometry and, once per frame, copies
+ * their world transforms and state into one cap and one shimmer-shell
+ * InstancedMesh per shape. Legends come from a shared LegendAtlas (drawn by
+ * LegendRenderer); each instance samples its cell through a UV offset/scale
+ * and tints the cell's mask with its own cap and legend colors, which follow
+ * the active palette (blendPalette).
+ */
+
+import {
+  InstancedMesh,
+  InstancedBufferAttribute,
+  MeshStandardMaterial,
+  Matrix4,
+  Color,
+} from "three";
+import { CONFIG } from "../../config.js";
+import { LegendAtlas } from "./LegendAtlas.js";
+import { LegendRenderer } from "./LegendRenderer.js";
+
+// Transform used for instances past the drawn count
+const HIDDEN_MATRIX = new Matrix4().makeScale(0, 0, 0);
+
+/**
+ * Key caps: atlas legend cell, legend color and opacity per instance
+ * The atlas is a mask (see LegendRenderer): red blends the instance color
+ * toward the legend color, green shades the result.
+ */
+function createCapMaterial(map) {
+  const material = new MeshStandardMaterial({
+    color: 0xffffff, // Per-instance color multiplies in
+    metalness: 0.1,
+    roughness: 0.4,
+    map,
+    transparent: true,
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        attribute vec4 instanceLegendUv;
+        attribute vec3 instanceLegendColor;
+        attribute float instanceOpacity;
+        varying vec3 vLegendColor;
+        varying float vInstanceOpacity;`,
+      )
+      .replace(
+        "#include <uv_vertex>",
+        `#include <uv_vertex>
+        #ifdef USE_MAP
+          vMapUv = vMapUv * instanceLegendUv.zw + instanceLegendUv.xy;
+        #endif
+        vLegendColor = instanceLegendColor;
+        vInstanceOpacity = instanceOpacity;`,
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        varying vec3 vLegendColor;
+        varying float vInstanceOpacity;`,
+      )
+      // The map is a mask, applied once the instance color is in
+      .replace("#include <map_fragment>", "")
+      .replace(
+        "#include <color_fragment>",
+        `#include <color_fragment>
+        #ifdef USE_MAP
+          vec4 legendMask = texture2D( map, vMapUv );
+          diffuseColor.rgb = mix( diffuseColor.rgb, vLegendColor, legendMask.r ) * legendMask.g;
+        #endif`,
+      )
+      .replace(
+        "#include <alphamap_fragment>",
+        `#include <alphamap_fragment>
+        diffuseColor.a *= vInstanceOpacity;`,
+      );
+  };
+  material.customProgramCacheKey = () => "key-instances-cap";
+
+  return material;
+}
+
+/**
+ * Shimmer shells: emissive intensity and opacity per instance
+ */
+function createShimmerMaterial() {
+  const material = new MeshStandardMaterial({
+    color: 0x0080fe, // Palette accent (see blendPalette)
+    emissive: new Color(0x0080fe),
+    emissiveIntensity: 1,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        attribute vec2 instanceGlow;
+        varying vec2 vInstanceGlow;`,
+      )
+      .replace(
+        "#include <uv_vertex>",
+        `#include <uv_vertex>
+        vInstanceGlow = instanceGlow;`,
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        varying vec2 vInstanceGlow;`,
+      )
+      .replace(
+        "#include <alphamap_fragment>",
+        `#include <alphamap_fragment>
+        diffuseColor.a *= vInstanceGlow.y;`,
+      )
+      .replace(
+        "#include <emissivemap_fragment>",
+        `#include <emissivemap_fragment>
+        totalEmissiveRadiance *= vInstanceGlow.x;`,
+      );
+  };
+  material.customProgramCacheKey = () => "key-instances-shimmer";
+
+  return material;
+}
+
+/**
+ * Is an object and every ancestor visible?
+ */
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+export class KeyInstances {
+  /**
+   * @param {Scene} scene - Three.js scene to add the instanced meshes to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.atlas = new LegendAtlas();
+    this.legends = new LegendRenderer(this.atlas);
+    this.capMaterial = createCapMaterial(this.atlas.texture);
+    this.shimmerMaterial = createShimmerMaterial();
+
+    // Key colors of the active palette (linear), read by new keys
+    this.palette = {
+      base: new Color(0xffffff),
+      legend: new Color(0x000000),
+      accent: new Color(0x0080fe),
+    };
+
+    // Keycap geometry -> { keys, drawn, caps, shimmers, capacity }
+    this.batches = new Map();
+  }
+
+  /**
+   * Start drawing a key
+   * @param {KeyModel} key - Created key
+   */
+  add(key) {
+    const geometry = key.getGeometry();
+    let batch = this.batches.get(geometry);
+
+    if (!batch) {
+      batch = { keys: [], drawn: [], caps: null, shimmers: null, capacity: 0 };
+      this.batches.set(geometry, batch);
+    }
+
+    batch.keys.push(key);
+    if (batch.keys.length > batch.capacity) {
+      this.allocateMeshes(batch, geometry, key.getShimmerGeometry());
+    }
+  }
+
+  /**
+   * Stop drawing a key and let go of its legend
+   * @param {KeyModel} key - Key being disposed
+   */
+  remove(key) {
+    const batch = this.batches.get(key.getGeometry());
+    if (batch) {
+      batch.keys = batch.keys.filter((k) => k !== key);
+    }
+    this.legends.release(key.legend);
+  }
+
+  /**
+   * Blend the palette between two sets of colors (t = 1 is `to`) and use it
+   * for the shimmer; keys take theirs in KeyModel.updateTheme
+   * @param {Object} from - Linear colors { base, legend, accent }
+   * @param {Object} to - Linear colors { base, legend, accent }
+   * @param {number} t - Blend amount (0-1)
+   */
+  blendPalette(from, to, t) {
+    for (const name of Object.keys(this.palette)) {
+      this.palette[name].lerpColors(from[name], to[name], t);
+    }
+
+    this.shimmerMaterial.color.copy(this.palette.accent);
+    this.shimmerMaterial.emissive.copy(this.palette.accent);
+  }
+
+  /**
+   * (Re)create a batch's meshes with room for its keys
+   */
+  allocateMeshes(batch, geometry, shimmerGeometry) {
+    const capacity = Math.max(
+      CONFIG.keycaps.instanceCapacity,
+      batch.capacity * 2,
+      batch.keys.length,
+    );
+
+    this.disposeMeshes(batch);
+
+    // Instance attributes live on the geometry: one batch per keycap shape
+    geometry.setAttribute(
+      "instanceLegendUv",
+      new InstancedBufferAttribute(new Float32Array(capacity * 4), 4),
+    );
+    geometry.setAttribute(
+      "instanceLegendColor",
+      new InstancedBufferAttribute(new Float32Array(capacity * 3), 3),
+    );
+    geometry.setAttribute(
+      "instanceOpacity",
+      new InstancedBufferAttribute(new Float32Array(capacity), 1),
+    );
+    shimmerGeometry.setAttribute(
+      "instanceGlow",
+      new InstancedBufferAttribute(new Float32Array(capacity * 2), 2),
+    );
+
+    batch.caps = new InstancedMesh(geometry, this.capMaterial, capacity);
+    batch.shimmers = new InstancedMesh(
+      shimmerGeometry,
+      this.shimmerMaterial,
+      capacity,
+    );
+
+    // The shell only glows; hits go to the caps
+    batch.shimmers.raycast = () => {};
+    batch.shimmers.renderOrder = 1;
+
+    for (const mesh of [batch.caps, batch.shimmers]) {
+      // Bounds change every frame as keys move; few instances to draw
+      mesh.frustumCulled = false;
+      mesh.count = 0;
+      this.scene.add(mesh);
+    }
+
+    batch.capacity = capacity;
+  }
+
+  /**
+   * Copy key transforms and state into the instances (call every frame,
+   * after key world matrices are up to date)
+   */
+  update() {
+    for (const batch of this.batches.values()) {
+      this.updateBatch(batch);
+    }
+  }
+
+  /**
+   * Write one batch's instances; hidden keys aren't drawn
+   */
+  updateBatch(batch) {
+    const { caps, shimmers } = batch;
+    const legendUv = caps.geometry.getAttribute("instanceLegendUv");
+    const legendColor = caps.geometry.getAttribute("instanceLegendColor");
+    const opacity = caps.geometry.getAttribute("instanceOpacity");
+    const glow = shimmers.geometry.getAttribute("instanceGlow");
+
+    batch.drawn = batch.keys.filter((key) => key.cap && isShown(key.group));
+
+    batch.drawn.forEach((key, index) => {
+      caps.setMatrixAt(index, key.cap.matrixWorld);
+      caps.setColorAt(index, key.color);
+      shimmers.setMatrixAt(index, key.cap.matrixWorld);
+
+      legendUv.setXYZW(index, ...(key.legend?.cell?.uv ?? [0, 0, 0, 0]));
+      legendColor.setXYZ(
+        index,
+        key.legendColor.r,
+        key.legendColor.g,
+        key.legendColor.b,
+      );
+      opacity.setX(index, key.opacity);
+      glow.setXY(index, key.glow.intensity, key.glow.opacity);
+    });
+
+    // Park the previous frame's extra instances
+    for (let i = batch.drawn.length; i < caps.count; i++) {
+      caps.setMatrixAt(i, HIDDEN_MATRIX);
+      shimmers.setMatrixAt(i, HIDDEN_MATRIX);
+    }
+
+    caps.count = batch.drawn.length;
+    shimmers.count = batch.drawn.length;
+
+    // Raycast hits map instanceId -> KeyModel
+    caps.userData.keyModels = batch.drawn;
+    caps.boundingSphere = null;
+
+    caps.instanceMatrix.needsUpdate = true;
+    shimmers.instanceMatrix.needsUpdate = true;
+    if (caps.instanceColor) caps.instanceColor.needsUpdate = true;
+    legendUv.needsUpdate = true;
+    legendColor.needsUpdate = true;
+    opacity.needsUpdate = true;
+    glow.needsUpdate = true;
+  }
+
+  /**
+   * Remove a batch's meshes from the scene
+   */
+  disposeMeshes(batch) {
+    for (const mesh of [batch.caps, batch.shimmers]) {
+      if (!mesh) continue;
+      this.scene.remove(mesh);
+      mesh.dispose();
+    }
+  }
+
+  /**
+   * Clean up meshes, materials and the atlas (geometry is cached elsewhere)
+   */
+  dispose() {
+    for (const batch of this.batches.values()) {
+      this.disposeMeshes(batch);
+    }
+    this.batches.clear();
+    this.capMaterial.dispose();
+    this.shimmerMaterial.dispose();
+    this.legends.dispose();
+    this.atlas.dispose();
+  }
+}
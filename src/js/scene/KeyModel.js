@@ -1,74 +1,101 @@
 /**
- * KeyModel - Individual 3D keyboard key with theme-aware colors
+ * KeyModel - Individual 3D keyboard key with palette colors
+ *
+ * A key is a transform (group, plus an inner cap for flips and shakes) and
+ * render state - color, opacity, shimmer glow and a legend atlas entry. The
+ * meshes are shared: KeyInstances draws every key with InstancedMeshes.
  */
 
-import {
-  Group,
-  BoxGeometry,
-  MeshStandardMaterial,
-  Mesh,
-  CanvasTexture,
-  Color,
-} from "three";
-import { animate, easings } from "../utils/easing.js";
+import { Group, Object3D, Color } from "three";
+import { animate, animateCancellable, easings } from "../utils/easing.js";
 import { CONFIG } from "../../config.js";
+import { getKeycapGeometry } from "./KeycapGeometry.js";
+
+// How far a key travels when fully pressed (world units)
+const PRESS_DEPTH = 0.15;
+
+// Shimmer shell outset around the cap (world units)
+const SHIMMER_GROW = 0.025;
 
 export class KeyModel {
-  constructor(letter, position, isTypoKey = false) {
+  /**
+   * @param {string} letter - Legend shown on the key (may be a word, e.g. "Shift")
+   * @param {{x: number, y: number, z: number}} position - Position (world units)
+   * @param {boolean} isTypoKey - TYPO keys start visible and trigger the intro
+   * @param {Object} options - Options
+   * @param {number} options.width - Key width in key units (1 = square)
+   * @param {number} options.depth - Key depth in key units (1 = square)
+   * @param {string} options.code - Physical KeyboardEvent.code this key mirrors
+   * @param {string} options.profile - Keycap profile (see KeycapGeometry.js)
+   * @param {number} options.row - Sculpt row (1 = number row, 4 = bottom row)
+   * @param {string} options.subLegend - Secondary legend (e.g. "!" on "1")
+   */
+  constructor(
+    letter,
+    position,
+    isTypoKey = false,
+    {
+      width = 1,
+      depth = 1,
+      code = null,
+      profile = CONFIG.keycaps.profile,
+      row = CONFIG.keycaps.row,
+      subLegend = null,
+    } = {},
+  ) {
     this.letter = letter;
+    this.baseLetter = letter; // Letter the key was created with
     this.position = { ...position };
     this.originalY = position.y;
     this.isTypoKey = isTypoKey;
+    this.width = width;
+    this.depth = depth;
+    this.code = code;
+    this.profile = profile;
+    this.row = row;
 
     this.group = new Group();
-    this.mesh = null;
-    this.shimmerMesh = null;
+    this.cap = null; // Flips and shakes inside the group
+    this.instances = null; // KeyInstances drawing this key
+    this.subLegend = subLegend;
+    this.legend = null; // LegendRenderer entry (atlas cell)
+
+    // Render state, copied into the instances every frame
+    this.opacity = isTypoKey ? 1 : 0;
+    this.glow = { intensity: 0, opacity: 0 };
 
     this.isPressed = false;
     this.isHovered = false;
+    this.isHighlighted = false;
+    this.isFocused = false;
+    this.flipAnimation = null;
+    this.pressAnimation = null; // Press, release or repeat in progress
     this.isVisible = isTypoKey; // TYPO keys start visible, STUDIO keys start hidden
 
     // Random phase offset for shimmer animation
     this.shimmerOffset = Math.random() * Math.PI * 2;
 
-    // Theme state
-    this.isDarkTheme =
-      document.documentElement.getAttribute("data-theme") === "dark";
+    // Palette colors (taken from the instances in create/updateTheme)
+    this.color = new Color(0xffffff);
+    this.legendColor = new Color(0x000000);
   }
 
   /**
-   * Create the key mesh
+   * Create the key and start drawing it
+   * @param {KeyInstances} instances - Renderer for the key's cap and shimmer
    */
-  create() {
-    // Key cap geometry
-    const geometry = new BoxGeometry(1, 0.4, 1);
-
-    // Get theme-aware colors
-    const keyColor = this.isDarkTheme ? 0xffffff : 0x1a1a1f;
-
-    // PBR material - lower metalness to show texture clearly
-    const material = new MeshStandardMaterial({
-      color: keyColor,
-      metalness: 0.1,
-      roughness: 0.4,
-      transparent: !this.isTypoKey,
-      opacity: this.isTypoKey ? 1 : 0,
-    });
-
-    this.mesh = new Mesh(geometry, material);
-    this.mesh.position.y = 0.2;
+  create(instances) {
+    this.cap = new Object3D();
+    this.cap.position.y = 0.2;
 
-    // Apply letter texture
-    this.applyLetterTexture();
-
-    // Create shimmer edge effect
-    this.createShimmerEdge();
-
-    this.group.add(this.mesh);
+    this.group.add(this.cap);
     this.group.position.set(this.position.x, this.position.y, this.position.z);
 
-    // Store reference for raycasting
-    this.mesh.userData.keyModel = this;
+    // Shared sculpted cap (see getGeometry) with a legend atlas cell
+    this.instances = instances;
+    instances.add(this);
+    this.updateTheme(instances.palette);
+    this.applyLetterTexture();
 
     // Set initial visibility
     this.group.visible = this.isVisible;
@@ -80,124 +107,168 @@ export class KeyModel {
   }
 
   /**
-   * Apply letter texture to key top
+   * Get the shared keycap geometry for this key's shape
+   * @param {number} grow - Outset on every side (world units)
    */
-  applyLetterTexture() {
-    const canvas = document.createElement("canvas");
-    canvas.width = 256;
-    canvas.height = 256;
-    const ctx = canvas.getContext("2d");
-
-    // Theme-aware colors
-    const bgColor = this.isDarkTheme ? "#ffffff" : "#1a1a1f";
-    const textColor = this.isDarkTheme ? "#000000" : "#FFFFFF";
-
-    // Background matching key color
-    ctx.fillStyle = bgColor;
-    ctx.fillRect(0, 0, 256, 256);
-
-    // Subtle gradient for depth
-    const gradient = ctx.createLinearGradient(0, 0, 0, 256);
-    if (this.isDarkTheme) {
-      gradient.addColorStop(0, "rgba(0, 0, 0, 0.03)");
-      gradient.addColorStop(1, "rgba(0, 0, 0, 0.08)");
-    } else {
-      gradient.addColorStop(0, "rgba(255, 255, 255, 0.03)");
-      gradient.addColorStop(1, "rgba(0, 0, 0, 0.08)");
-    }
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 256, 256);
+  getGeometry(grow = 0) {
+    return getKeycapGeometry({
+      width: this.width,
+      depth: this.depth,
+      profile: this.profile,
+      row: this.row,
+      grow,
+    });
+  }
 
-    // Letter - opposite color for contrast (no transform needed for top-down view)
-    ctx.fillStyle = textColor;
-    ctx.font = "bold 120px monospace";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(this.letter, 128, 128);
+  /**
+   * Shimmer shell geometry, slightly larger than the cap
+   */
+  getShimmerGeometry() {
+    return this.getGeometry(SHIMMER_GROW);
+  }
 
-    const texture = new CanvasTexture(canvas);
+  /**
+   * Point the key at the atlas cell for its legend and size
+   * (drawn only if no other key already shows the same legend)
+   */
+  applyLetterTexture() {
+    if (!this.instances) return;
+
+    const previous = this.legend;
+    this.legend = this.instances.legends.acquire({
+      text: this.letter,
+      sub: this.subLegend,
+      width: this.width,
+      depth: this.depth,
+    });
+    this.instances.legends.release(previous);
+  }
 
-    // Dispose old texture if exists
-    if (this.mesh.material.map) {
-      this.mesh.material.map.dispose();
+  /**
+   * Set a new letter on this key, optionally flipping the cap to reveal it
+   * @param {string} newLetter - The letter to display
+   * @param {Object} options - Options
+   * @param {boolean} options.animate - Flip instead of swapping instantly
+   * @param {number} options.duration - Flip duration in ms
+   * @param {Function} options.easing - Flip easing
+   * @returns {Promise<boolean>} Resolves when shown (false if interrupted)
+   */
+  async setLetter(
+    newLetter,
+    {
+      animate = false,
+      duration = CONFIG.timing.letterFlipDuration,
+      easing = easings.easeInOut,
+    } = {},
+  ) {
+    // A new legend interrupts any flip in progress
+    this.flipAnimation?.cancel();
+    this.flipAnimation = null;
+
+    if (!animate || newLetter === this.letter) {
+      this.setFlipProgress(1, this.letter, newLetter);
+      return true;
     }
 
-    this.mesh.material.map = texture;
-    this.mesh.material.needsUpdate = true;
+    const fromLetter = this.letter;
+    const flip = animateCancellable(
+      duration,
+      (progress) => this.setFlipProgress(progress, fromLetter, newLetter),
+      easing,
+    );
+    this.flipAnimation = flip;
+
+    const completed = await flip.promise;
+    if (this.flipAnimation === flip) {
+      this.flipAnimation = null;
+    }
+    return completed;
   }
 
   /**
-   * Set a new letter on this key (updates texture)
-   * @param {string} newLetter - The letter to display
+   * Redraw the legend texture for a letter
    */
-  setLetter(newLetter) {
-    this.letter = newLetter;
+  showLegend(letter) {
+    this.letter = letter;
     this.applyLetterTexture();
   }
 
   /**
-   * Update theme colors
+   * Set flip state directly (0 = old legend, 1 = new legend) - for timelines
+   * The cap turns 90° on X showing the old legend, then swaps to the new
+   * legend and turns back from -90°, so it always settles face up.
+   * @param {number} progress - Flip progress (0-1)
+   * @param {string} fromLetter - Legend before the flip
+   * @param {string} toLetter - Legend after the flip
    */
-  updateTheme(isDark) {
-    this.isDarkTheme = isDark;
-
-    // Update material color
-    const keyColor = isDark ? 0xffffff : 0x1a1a1f;
-    this.mesh.material.color.setHex(keyColor);
+  setFlipProgress(progress, fromLetter, toLetter) {
+    const letter = progress < 0.5 ? fromLetter : toLetter;
+    if (this.letter !== letter) {
+      this.showLegend(letter);
+    }
 
-    // Update texture with new colors
-    this.applyLetterTexture();
+    const angle =
+      progress < 0.5 ? progress * Math.PI : (progress - 1) * Math.PI;
+    this.cap.rotation.x = angle;
   }
 
   /**
-   * Create shimmer edge highlight effect
+   * Update palette colors (legend cells are color-free masks, so nothing
+   * is redrawn)
+   * @param {Object} palette - Linear colors { base, legend }
    */
-  createShimmerEdge() {
-    // Slightly larger box for edge highlight
-    const edgeGeometry = new BoxGeometry(1.05, 0.42, 1.05);
-    const edgeMaterial = new MeshStandardMaterial({
-      color: 0x0080fe,
-      emissive: new Color(0x0080fe),
-      emissiveIntensity: 0,
-      transparent: true,
-      opacity: 0,
-      depthWrite: false,
-    });
-
-    this.shimmerMesh = new Mesh(edgeGeometry, edgeMaterial);
-    this.shimmerMesh.position.y = 0.2;
-    this.group.add(this.shimmerMesh);
+  updateTheme({ base, legend }) {
+    this.color.copy(base);
+    this.legendColor.copy(legend);
   }
 
   /**
    * Update shimmer animation (called every frame)
    */
   updateShimmer(elapsed) {
-    if (!this.isVisible || !this.shimmerMesh) return;
+    if (!this.isVisible) return;
+
+    // Keyboard focus ring: a strong, steady edge
+    if (this.isFocused) {
+      this.setGlow(1, 0.8);
+      return;
+    }
+
+    // Highlighted keys hold the hover glow
+    if (this.isHighlighted) {
+      this.setGlow(0.5, 0.4);
+      return;
+    }
 
     // Moving highlight effect like game button prompts
     const phase = elapsed * 2 + this.shimmerOffset;
     const intensity = ((Math.sin(phase) + 1) / 2) * 0.3;
 
-    this.shimmerMesh.material.emissiveIntensity = intensity;
-    this.shimmerMesh.material.opacity = intensity * 0.5;
+    this.setGlow(intensity, intensity * 0.5);
+  }
+
+  /**
+   * Set the shimmer shell's emissive intensity and opacity
+   */
+  setGlow(intensity, opacity) {
+    this.glow.intensity = intensity;
+    this.glow.opacity = opacity;
   }
 
   /**
    * Animate key press down
+   * @param {number} depth - How far to press (0-1, e.g. MIDI velocity)
    */
-  async press() {
+  async press(depth = 1) {
     if (this.isPressed) return;
     this.isPressed = true;
 
     const startY = this.group.position.y;
-    const targetY = this.originalY - 0.15;
+    const targetY = this.originalY - PRESS_DEPTH * depth;
 
-    await animate(
+    await this.animatePress(
       CONFIG.timing.keyPressDuration,
-      (progress) => {
-        this.group.position.y = startY + (targetY - startY) * progress;
-      },
+      (progress) => startY + (targetY - startY) * progress,
       easings.keyPress,
     );
   }
@@ -207,19 +278,69 @@ export class KeyModel {
    */
   async release() {
     if (!this.isPressed) return;
+    this.isPressed = false;
 
     const startY = this.group.position.y;
     const targetY = this.originalY;
 
-    await animate(
+    await this.animatePress(
       CONFIG.timing.keyReleaseDuration,
+      (progress) => startY + (targetY - startY) * progress,
+      easings.keyRelease,
+    );
+  }
+
+  /**
+   * Typematic repeat visual: a small bounce while the key stays down
+   */
+  async repeat() {
+    if (!this.isPressed) return;
+
+    // Stay near the bottom, lifting slightly mid-bounce
+    await this.animatePress(
+      CONFIG.timing.keyRepeatDuration,
+      (progress) =>
+        this.originalY - PRESS_DEPTH * (1 - 0.3 * Math.sin(progress * Math.PI)),
+      easings.linear,
+    );
+  }
+
+  /**
+   * Move the key vertically; a new press, release or repeat interrupts the
+   * one in flight, so only one tween ever writes the key's height
+   * @param {number} duration - Duration (ms)
+   * @param {Function} getY - Key height for the eased progress
+   * @param {Function} easing - Easing function
+   * @returns {Promise<boolean>} Resolves false if interrupted
+   */
+  async animatePress(duration, getY, easing) {
+    this.pressAnimation?.cancel();
+
+    const move = animateCancellable(
+      duration,
       (progress) => {
-        this.group.position.y = startY + (targetY - startY) * progress;
+        this.group.position.y = getY(progress);
       },
-      easings.keyRelease,
+      easing,
     );
+    this.pressAnimation = move;
 
-    this.isPressed = false;
+    const completed = await move.promise;
+    if (this.pressAnimation === move) {
+      this.pressAnimation = null;
+    }
+    return completed;
+  }
+
+  /**
+   * Set press depth directly (0 = up, 1 = fully pressed) - for timelines
+   */
+  setPressDepth(depth) {
+    this.pressAnimation?.cancel();
+    this.pressAnimation = null;
+
+    this.group.position.y = this.originalY - PRESS_DEPTH * depth;
+    this.isPressed = depth > 0;
   }
 
   /**
@@ -228,20 +349,21 @@ export class KeyModel {
   async reveal() {
     if (this.isVisible) return;
 
-    this.group.visible = true;
-    this.mesh.material.transparent = true;
-
     await animate(
-      300,
-      (progress) => {
-        this.group.scale.setScalar(0.8 + 0.2 * progress);
-        this.mesh.material.opacity = progress;
-      },
+      CONFIG.timing.keyRevealDuration,
+      (progress) => this.setRevealProgress(progress),
       easings.easeOut,
     );
+  }
 
-    this.mesh.material.opacity = 1;
-    this.isVisible = true;
+  /**
+   * Set reveal state directly (0 = hidden, 1 = fully visible) - for timelines
+   */
+  setRevealProgress(progress) {
+    this.group.visible = progress > 0;
+    this.group.scale.setScalar(0.8 + 0.2 * progress);
+    this.opacity = progress;
+    this.isVisible = progress >= 1;
   }
 
   /**
@@ -250,16 +372,45 @@ export class KeyModel {
   hover(isHovering) {
     this.isHovered = isHovering;
 
-    // Boost shimmer on hover
-    if (this.shimmerMesh) {
-      if (isHovering) {
-        this.shimmerMesh.material.emissiveIntensity = 0.5;
-        this.shimmerMesh.material.opacity = 0.4;
-      }
-      // Normal shimmer will resume in updateShimmer
+    // Boost shimmer on hover (normal shimmer resumes in updateShimmer)
+    if (isHovering) {
+      this.setGlow(0.5, 0.4);
     }
   }
 
+  /**
+   * Hold the shimmer glow (e.g. a matched key in a sequence)
+   */
+  setHighlighted(isHighlighted) {
+    this.isHighlighted = isHighlighted;
+  }
+
+  /**
+   * Show or hide the keyboard focus ring (drawn with the shimmer edge)
+   */
+  setFocused(isFocused) {
+    this.isFocused = isFocused;
+
+    // Apply now - the shimmer isn't updated every frame in every state
+    this.setGlow(isFocused ? 1 : 0, isFocused ? 0.8 : 0);
+  }
+
+  /**
+   * Shake the cap side to side (wrong key feedback)
+   * Moves the cap inside the group, so it doesn't fight slides
+   */
+  async shake(duration = 300, amplitude = 0.08) {
+    await animate(
+      duration,
+      (progress) => {
+        const offset =
+          Math.sin(progress * Math.PI * 6) * amplitude * (1 - progress);
+        this.cap.position.x = offset;
+      },
+      easings.linear,
+    );
+  }
+
   /**
    * Move key to new position (for slide animation)
    */
@@ -276,19 +427,12 @@ export class KeyModel {
   }
 
   /**
-   * Clean up resources
+   * Clean up resources (geometry is shared and cached, see KeycapGeometry.js)
    */
   dispose() {
-    if (this.mesh) {
-      this.mesh.geometry.dispose();
-      if (this.mesh.material.map) {
-        this.mesh.material.map.dispose();
-      }
-      this.mesh.material.dispose();
-    }
-    if (this.shimmerMesh) {
-      this.shimmerMesh.geometry.dispose();
-      this.shimmerMesh.material.dispose();
-    }
+    this.flipAnimation?.cancel();
+    this.pressAnimation?.cancel();
+    this.instances?.remove(this);
+    this.legend = null;
   }
 }
@@ -2,45 +2,397 @@
  * KeyboardLayout - Manages all keyboard keys
  */
 
-import { Group } from "three";
+import { Group, Color } from "three";
 import { CONFIG } from "../../config.js";
 import { KeyModel } from "./KeyModel.js";
-import { animate, easings } from "../utils/easing.js";
+import { KeyInstances } from "./KeyInstances.js";
+import {
+  resolveKeycapProfile,
+  disposeKeycapGeometries,
+} from "./KeycapGeometry.js";
+import { animate, animateCancellable, easings } from "../utils/easing.js";
+import { parseKLE, getKLEBounds } from "../utils/kle.js";
+import { readPaletteColors, onThemeChange } from "../utils/palette.js";
+
+/**
+ * Physical KeyboardEvent.code for a single-character legend
+ * @param {string} legend - Letter or digit
+ * @returns {string|null} Code (e.g. "KeyQ", "Digit1"), null for other legends
+ */
+function codeForLegend(legend) {
+  if (/^[0-9]$/.test(legend)) return `Digit${legend}`;
+  if (/^[A-Za-z]$/.test(legend)) return `Key${legend.toUpperCase()}`;
+  return null;
+}
 
 export class KeyboardLayout {
-  constructor(scene) {
+  /**
+   * @param {Scene} scene - Three.js scene
+   * @param {Object} layout - Layout definition (see CONFIG.layout.main)
+   */
+  constructor(scene, layout = CONFIG.layout.main) {
     this.scene = scene;
+    this.layout = layout;
     this.group = new Group();
 
+    // Every key is drawn through shared instanced meshes (see syncInstances)
+    this.instances = new KeyInstances(scene);
+
     // Key storage
+    this.groups = new Map(); // Group name -> Map(legend -> KeyModel)
     this.typoKeys = new Map(); // T, Y, P, O
     this.studioKeys = new Map(); // S, T, U, D, I, O
     this.allKeys = [];
+
+    // Full keyboard for free typing (created on first use)
+    this.fullKeyboardGroup = null;
+    this.fullKeys = new Map(); // KeyboardEvent.code -> KeyModel
+    this.layoutLegends = new Map(); // KeyboardEvent.code -> visitor's legend
+    this.isFullKeyboardVisible = false;
+
+    // Type-to-spell row (see spellLetter)
+    this.spellGroup = new Group();
+    this.spelledKeys = [];
+
+    // Palette colors follow the theme event (see updateTheme)
+    this.themeTransition = null;
+    this.unsubscribeTheme = null;
   }
 
   /**
    * Initialize the keyboard layout
    */
   async init() {
-    // Create TYPO keys (visible, interactive)
-    for (const [letter, position] of Object.entries(CONFIG.layout.typo)) {
-      const key = new KeyModel(letter, position, true);
-      key.create();
-      this.typoKeys.set(letter, key);
-      this.allKeys.push(key);
-      this.group.add(key.group);
+    // First legends use the web font when it arrives in time
+    await this.instances.legends.whenFontsReady();
+
+    // Keys take the palette already applied to the page, then follow changes
+    this.updateTheme(readPaletteColors());
+    this.unsubscribeTheme = onThemeChange(({ colors, duration }) => {
+      this.updateTheme(colors, { duration });
+    });
+
+    this.buildLayout(this.layout, this.group);
+
+    // Named groups the intro relies on
+    this.typoKeys = this.getGroup("typo") ?? this.typoKeys;
+    this.studioKeys = this.getGroup("studio") ?? this.studioKeys;
+
+    // Spelled keys slide with the brand keys
+    const { position, scale } = CONFIG.layout.spell;
+    this.spellGroup.position.set(position.x, position.y, position.z);
+    this.spellGroup.scale.setScalar(scale);
+    this.group.add(this.spellGroup);
+
+    this.scene.add(this.group);
+  }
+
+  /**
+   * Create the keys of a layout definition inside a container group
+   *
+   * A layout has an optional position/scale and named groups, each with its
+   * own KLE key rows centered on the group position (world units):
+   *   { position, scale, groups: { typo: { position, triggersIntro, keys: [["T", "Y"], ["P", "O"]] } } }
+   *
+   * Keycap profiles come from the key's KLE "p", then the group's or
+   * layout's "profile"; the sculpt row from "p", then the group's "row",
+   * else each KLE row in turn (first row = R1, capped at R4).
+   *
+   * @param {Object} layout - Layout definition
+   * @param {Group} container - Three.js group to add the keys to
+   * @returns {KeyModel[]} Created keys
+   */
+  buildLayout(layout, container) {
+    const {
+      position = { x: 0, y: 0, z: 0 },
+      scale = 1,
+      profile,
+      groups,
+    } = layout;
+    const created = [];
+
+    for (const [name, definition] of Object.entries(groups)) {
+      const keys = this.createGroupKeys({ profile, ...definition });
+      const byLegend = this.groups.get(name) ?? new Map();
+
+      for (const key of keys) {
+        // First key wins for repeated legends (e.g. both Shift keys)
+        if (!byLegend.has(key.letter.toUpperCase())) {
+          byLegend.set(key.letter.toUpperCase(), key);
+        }
+        this.allKeys.push(key);
+        container.add(key.group);
+      }
+
+      this.groups.set(name, byLegend);
+      created.push(...keys);
+    }
+
+    container.position.set(position.x, position.y, position.z);
+    container.scale.setScalar(scale);
+
+    return created;
+  }
+
+  /**
+   * Create the keys of one layout group from its KLE rows
+   * @param {Object} definition - Group definition
+   * @returns {KeyModel[]} Created keys
+   */
+  createGroupKeys(definition) {
+    const {
+      keys: rows,
+      position = { x: 0, y: 0, z: 0 },
+      triggersIntro = false,
+      profile,
+      row,
+    } = definition;
+
+    const spacing = CONFIG.layout.keySpacing;
+    const gap = spacing - 1;
+    const parsed = parseKLE(rows);
+    const bounds = getKLEBounds(parsed);
+
+    // Center the group on its position
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+
+    return parsed.map((entry) => {
+      const keyPosition = {
+        x: position.x + (entry.x + entry.width / 2 - centerX) * spacing,
+        y: position.y,
+        z: position.z + (entry.y + entry.height / 2 - centerY) * spacing,
+      };
+
+      const keycap = resolveKeycapProfile(
+        entry.profile ?? profile,
+        row ?? Math.min(entry.row + 1, 4),
+      );
+
+      const key = new KeyModel(entry.legend, keyPosition, triggersIntro, {
+        width: entry.width * spacing - gap,
+        depth: entry.height * spacing - gap,
+        code: entry.code ?? codeForLegend(entry.legend),
+        subLegend: entry.legends.find(
+          (label) => label && label !== entry.legend,
+        ),
+        ...keycap,
+      });
+      key.create(this.instances);
+
+      return key;
+    });
+  }
+
+  /**
+   * Generate the full keyboard (hidden until setFullKeyboardVisible)
+   * @param {Object} layout - Layout definition (see CONFIG.layout.fullKeyboard)
+   */
+  createFullKeyboard(layout = CONFIG.layout.fullKeyboard) {
+    this.fullKeyboardGroup = new Group();
+
+    for (const key of this.buildLayout(layout, this.fullKeyboardGroup)) {
+      if (key.code) {
+        this.fullKeys.set(key.code, key);
+        this.showLayoutLegend(key);
+      }
     }
 
-    // Create STUDIO keys (hidden initially)
-    for (const [letter, position] of Object.entries(CONFIG.layout.studio)) {
-      const key = new KeyModel(letter, position, false);
-      key.create();
-      this.studioKeys.set(letter, key);
-      this.allKeys.push(key);
-      this.group.add(key.group);
+    this.scene.add(this.fullKeyboardGroup);
+  }
+
+  /**
+   * Cross-fade between the brand keys and the full keyboard
+   * @param {boolean} visible - Show the full keyboard
+   */
+  async setFullKeyboardVisible(visible) {
+    if (visible === this.isFullKeyboardVisible) return;
+
+    if (visible && this.fullKeys.size === 0) {
+      this.createFullKeyboard();
     }
 
-    this.scene.add(this.group);
+    const brandKeys = [...this.typoKeys.values(), ...this.studioKeys.values()];
+    const fullKeys = [...this.fullKeys.values()];
+    const keysIn = visible ? fullKeys : brandKeys;
+    const keysOut = visible ? brandKeys : fullKeys;
+
+    this.isFullKeyboardVisible = visible;
+
+    await animate(
+      CONFIG.timing.keyRevealDuration,
+      (progress) => {
+        keysOut.forEach((key) => key.setRevealProgress(1 - progress));
+        keysIn.forEach((key) => key.setRevealProgress(progress));
+      },
+      easings.easeInOut,
+    );
+  }
+
+  /**
+   * Use the visitor's layout legends on the full keyboard
+   * @param {Map<string, string>} layoutMap - Characters by KeyboardEvent.code
+   */
+  applyLayoutLegends(layoutMap) {
+    for (const [code, character] of layoutMap) {
+      this.setLayoutLegend(code, character);
+    }
+  }
+
+  /**
+   * Set the legend of one physical key in the visitor's layout
+   * @param {string} code - KeyboardEvent.code
+   * @param {string} character - Character the key produces
+   */
+  setLayoutLegend(code, character) {
+    const legend = character.toUpperCase();
+    if (this.layoutLegends.get(code) === legend) return;
+
+    this.layoutLegends.set(code, legend);
+
+    const key = this.fullKeys.get(code);
+    if (key) this.showLayoutLegend(key);
+  }
+
+  /**
+   * Show a full keyboard key's legend from the visitor's layout, if known
+   * Only single-character legends change (Shift, Enter... keep theirs)
+   */
+  showLayoutLegend(key) {
+    const legend = this.layoutLegends.get(key.code);
+    if (!legend || key.baseLetter.length !== 1 || key.letter === legend) return;
+
+    key.setLetter(legend, { animate: this.isFullKeyboardVisible });
+  }
+
+  /**
+   * Get a full keyboard key by physical KeyboardEvent.code
+   */
+  getKeyByCode(code) {
+    return this.fullKeys.get(code);
+  }
+
+  /**
+   * Spawn a key at the end of the spell row and flip it to a letter
+   * @param {string} letter - Letter to spell
+   * @returns {Promise<KeyModel|null>} The new key, null when the row is full
+   */
+  async spellLetter(letter) {
+    if (this.spelledKeys.length >= CONFIG.layout.spell.maxLength) return null;
+
+    // Starts blank and hidden, then fades in while flipping to the letter
+    const key = new KeyModel(
+      letter.toUpperCase(),
+      this.getSpellPosition(this.spelledKeys.length),
+    );
+    key.create(this.instances);
+    key.showLegend("");
+
+    this.spelledKeys.push(key);
+    this.allKeys.push(key);
+    this.spellGroup.add(key.group);
+    this.layoutSpelledKeys();
+
+    await Promise.all([
+      key.reveal(),
+      key.setLetter(key.baseLetter, {
+        animate: true,
+        duration: CONFIG.timing.keyRevealDuration,
+      }),
+    ]);
+
+    return key;
+  }
+
+  /**
+   * Remove the last spelled key
+   * @returns {Promise<boolean>} False when there was nothing to remove
+   */
+  async unspellLetter() {
+    const key = this.spelledKeys.pop();
+    if (!key) return false;
+
+    this.layoutSpelledKeys();
+    await this.removeSpelledKey(key);
+
+    return true;
+  }
+
+  /**
+   * Fade out and remove every spelled key
+   */
+  async clearSpelled() {
+    const keys = this.spelledKeys;
+    this.spelledKeys = [];
+
+    await Promise.all(keys.map((key) => this.removeSpelledKey(key)));
+  }
+
+  /**
+   * Fade a spelled key out and dispose it
+   */
+  async removeSpelledKey(key) {
+    await animate(
+      CONFIG.timing.keyRevealDuration,
+      (progress) => key.setRevealProgress(1 - progress),
+      easings.easeIn,
+    );
+
+    this.spellGroup.remove(key.group);
+    this.allKeys = this.allKeys.filter((k) => k !== key);
+    key.dispose();
+  }
+
+  /**
+   * Keep the spell row centered as keys come and go
+   */
+  layoutSpelledKeys() {
+    const duration = CONFIG.timing.keyRevealDuration;
+
+    this.spelledKeys.forEach((key, index) => {
+      const { x } = this.getSpellPosition(index);
+      if (key.group.position.x !== x) {
+        key.slideTo(x, duration);
+      }
+    });
+  }
+
+  /**
+   * Position of a spelled key in the row (row space, centered)
+   */
+  getSpellPosition(index) {
+    const count = Math.max(this.spelledKeys.length, index + 1);
+    const x = (index - (count - 1) / 2) * CONFIG.layout.keySpacing;
+    return { x, y: 0, z: 0 };
+  }
+
+  /**
+   * Get the spelled keys, first letter first
+   */
+  getSpelledKeys() {
+    return [...this.spelledKeys];
+  }
+
+  /**
+   * Get the spelled text
+   */
+  getSpelledText() {
+    return this.spelledKeys.map((key) => key.baseLetter).join("");
+  }
+
+  /**
+   * Get a layout group's keys by group name
+   * @returns {Map<string, KeyModel>|undefined} Keys by legend
+   */
+  getGroup(name) {
+    return this.groups.get(name);
+  }
+
+  /**
+   * Get a key from a named layout group by legend
+   */
+  getGroupKey(name, letter) {
+    return this.groups.get(name)?.get(letter.toUpperCase());
   }
 
   /**
@@ -76,68 +428,78 @@ export class KeyboardLayout {
   }
 
   /**
-   * Update theme colors on all keys
+   * Copy key transforms and state into the instanced meshes (every frame)
    */
-  updateTheme(isDark) {
-    for (const key of this.allKeys) {
-      key.updateTheme(isDark);
-    }
+  syncInstances() {
+    this.group.updateMatrixWorld();
+    this.fullKeyboardGroup?.updateMatrixWorld();
+    this.instances.update();
   }
 
   /**
-   * Reveal STUDIO keys in sequence
+   * Update palette colors on all keys, tweening from the current ones
+   * @param {Object} colors - CSS colors (see utils/palette.js readPaletteColors)
+   * @param {Object} options - Options
+   * @param {number} options.duration - Tween length (ms), 0 to jump
+   * @returns {Promise<boolean>} Resolves false if interrupted
    */
-  async revealStudioKeys() {
-    const letters = ["S", "T", "U", "D", "I", "O"];
-    const stagger = CONFIG.timing.studioRevealStagger;
+  updateTheme(colors, { duration = 0 } = {}) {
+    this.themeTransition?.cancel();
+    this.themeTransition = null;
 
-    for (let i = 0; i < letters.length; i++) {
-      const key = this.studioKeys.get(letters[i]);
-      if (key) {
-        // Don't await - let them overlap for stagger effect
-        key.reveal();
+    const { palette } = this.instances;
+    const from = {
+      base: palette.base.clone(),
+      legend: palette.legend.clone(),
+      accent: palette.accent.clone(),
+    };
+    const to = {
+      base: new Color(colors.base),
+      legend: new Color(colors.legend),
+      accent: new Color(colors.accent),
+    };
 
-        // Wait for stagger delay before next key
-        if (i < letters.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, stagger));
-        }
+    const blend = (t) => {
+      this.instances.blendPalette(from, to, t);
+      for (const key of this.allKeys) {
+        key.updateTheme(palette);
       }
-    }
+    };
 
-    // Wait for last key to finish revealing
-    await new Promise((resolve) => setTimeout(resolve, 300));
-  }
-
-  /**
-   * Slide all keys to the right
-   */
-  async slideRight(distance, duration) {
-    const startX = this.group.position.x;
-    const targetX = startX + distance;
+    if (duration <= 0) {
+      blend(1);
+      return Promise.resolve(true);
+    }
 
-    await animate(
+    this.themeTransition = animateCancellable(
       duration,
-      (progress) => {
-        this.group.position.x = startX + (targetX - startX) * progress;
-      },
+      blend,
       easings.easeInOut,
     );
+    return this.themeTransition.promise;
   }
 
   /**
-   * Get all visible keys
+   * Set the slide offset directly (world units) - for timelines
    */
-  getVisibleKeys() {
-    return this.allKeys.filter((key) => key.isVisible);
+  setSlideOffset(x) {
+    this.group.position.x = x;
   }
 
   /**
    * Clean up all keys
    */
   dispose() {
+    this.unsubscribeTheme?.();
+    this.themeTransition?.cancel();
     for (const key of this.allKeys) {
       key.dispose();
     }
+    this.instances.dispose();
+    disposeKeycapGeometries();
     this.scene.remove(this.group);
+    if (this.fullKeyboardGroup) {
+      this.scene.remove(this.fullKeyboardGroup);
+    }
   }
 }
@@ -0,0 +1,280 @@
+/**
+ * KeycapGeometry - Procedural sculpted keycaps
+ *
+ * A cap is lofted from rounded rectangles: the base outline tapers up to an
+ * inset top whose surface is dished (cylindrical or spherical) and tilted per
+ * row, like real sculpted profiles. Geometries are cached by shape, so every
+ * key of the same size, profile and row shares one BufferGeometry.
+ *
+ * The top surface carries the legend texture (UVs span 0-1 across it); the
+ * sides sample the texture's edge, which is the plain key color.
+ */
+
+import { BufferGeometry, Float32BufferAttribute } from "three";
+import { CONFIG } from "../../config.js";
+import { clamp } from "../utils/helpers.js";
+
+// Cap base sits at y = -BASE_OFFSET so a 0.4 tall cap is centered like a box
+const BASE_OFFSET = 0.2;
+
+// Keycap profiles (key units). Rows follow Cherry numbering: R1 is the
+// number row, R4 the bottom row. Tilt is in degrees, positive leans the top
+// toward the viewer. Uniform profiles use one shape for every row.
+export const KEYCAP_PROFILES = {
+  cherry: {
+    dish: "cylindrical",
+    dishDepth: 0.03,
+    topInset: 0.12,
+    baseRadius: 0.06,
+    topRadius: 0.08,
+    rows: {
+      1: { height: 0.46, tilt: 9 },
+      2: { height: 0.4, tilt: 5 },
+      3: { height: 0.38, tilt: 0 },
+      4: { height: 0.4, tilt: -6 },
+    },
+  },
+  sa: {
+    dish: "spherical",
+    dishDepth: 0.05,
+    topInset: 0.17,
+    baseRadius: 0.08,
+    topRadius: 0.16,
+    rows: {
+      1: { height: 0.64, tilt: 12 },
+      2: { height: 0.56, tilt: 7 },
+      3: { height: 0.52, tilt: 0 },
+      4: { height: 0.56, tilt: -7 },
+    },
+  },
+  dsa: {
+    dish: "spherical",
+    dishDepth: 0.03,
+    topInset: 0.17,
+    baseRadius: 0.06,
+    topRadius: 0.1,
+    rows: { 3: { height: 0.36, tilt: 0 } },
+  },
+  xda: {
+    dish: "spherical",
+    dishDepth: 0.035,
+    topInset: 0.08,
+    baseRadius: 0.08,
+    topRadius: 0.14,
+    rows: { 3: { height: 0.44, tilt: 0 } },
+  },
+};
+
+// Shared geometries by shape key
+const cache = new Map();
+
+/**
+ * Parse a profile name, optionally with a row (KLE style, e.g. "SA R1")
+ * @param {string} name - Profile name
+ * @param {number} row - Row when the name doesn't set one
+ * @returns {{profile: string, row: number}} Known profile and row
+ */
+export function resolveKeycapProfile(
+  name = CONFIG.keycaps.profile,
+  row = CONFIG.keycaps.row,
+) {
+  const [profileName = "", rowName = ""] = String(name)
+    .trim()
+    .toLowerCase()
+    .split(/\s+/);
+  const profile = profileName in KEYCAP_PROFILES ? profileName : "cherry";
+  const parsedRow = Number(rowName.replace(/^r/, ""));
+
+  return { profile, row: parsedRow || row };
+}
+
+/**
+ * Get a cached keycap geometry
+ * @param {Object} options - Shape options
+ * @param {number} options.width - Base width (world units)
+ * @param {number} options.depth - Base depth (world units)
+ * @param {string} options.profile - Profile name (see KEYCAP_PROFILES)
+ * @param {number} options.row - Sculpt row (1-4)
+ * @param {number} options.grow - Outset on every side (e.g. a highlight shell)
+ * @returns {BufferGeometry} Shared geometry - don't dispose per key
+ */
+export function getKeycapGeometry({
+  width = 1,
+  depth = 1,
+  profile = CONFIG.keycaps.profile,
+  row = CONFIG.keycaps.row,
+  grow = 0,
+} = {}) {
+  const key = [width, depth, profile, row, grow]
+    .map((value) => (typeof value === "number" ? value.toFixed(3) : value))
+    .join("|");
+
+  if (!cache.has(key)) {
+    cache.set(key, createKeycapGeometry({ width, depth, profile, row, grow }));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Dispose every cached geometry (when the scene is torn down)
+ */
+export function disposeKeycapGeometries() {
+  for (const geometry of cache.values()) {
+    geometry.dispose();
+  }
+  cache.clear();
+}
+
+/**
+ * Shape of a profile row (nearest defined row for uniform profiles)
+ */
+function getRowShape(profile, row) {
+  const { rows } = profile;
+  if (rows[row]) return rows[row];
+
+  const nearest = Object.keys(rows)
+    .map(Number)
+    .sort((a, b) => Math.abs(a - row) - Math.abs(b - row))[0];
+  return rows[nearest];
+}
+
+/**
+ * Points around a rounded rectangle centered on the origin (x, z pairs)
+ * Every outline has the same point count, so rings can be stitched.
+ */
+function roundedRectOutline(width, depth, radius, segments) {
+  const halfWidth = width / 2;
+  const halfDepth = depth / 2;
+  const r = clamp(radius, 0.001, Math.min(halfWidth, halfDepth));
+  const corners = [
+    [halfWidth - r, halfDepth - r],
+    [-halfWidth + r, halfDepth - r],
+    [-halfWidth + r, -halfDepth + r],
+    [halfWidth - r, -halfDepth + r],
+  ];
+
+  const points = [];
+  corners.forEach(([cx, cz], corner) => {
+    for (let i = 0; i <= segments; i++) {
+      const angle = ((corner + i / segments) * Math.PI) / 2;
+      points.push([cx + Math.cos(angle) * r, cz + Math.sin(angle) * r]);
+    }
+  });
+  return points;
+}
+
+/**
+ * Build a keycap geometry (see getKeycapGeometry for options)
+ * @returns {BufferGeometry} New geometry
+ */
+export function createKeycapGeometry({ width, depth, profile, row, grow }) {
+  const shape = KEYCAP_PROFILES[profile] ?? KEYCAP_PROFILES.cherry;
+  const { height, tilt } = getRowShape(shape, row);
+  const { cornerSegments, dishRings } = CONFIG.keycaps;
+
+  const baseY = -BASE_OFFSET - grow;
+  const topY = -BASE_OFFSET + height + grow;
+  const slope = Math.tan((tilt * Math.PI) / 180);
+
+  const topWidth = Math.max(width - shape.topInset * 2, 0.1) + grow * 2;
+  const topDepth = Math.max(depth - shape.topInset * 2, 0.1) + grow * 2;
+
+  // Dish curvature spans half a unit from each edge, so wide keys (Space)
+  // get a flat trough instead of a huge bowl
+  const halfUnit = Math.min(topWidth, topDepth) / 2;
+  const dishAt = (x, z) => {
+    const ex = Math.max(0, Math.abs(x) - (topWidth / 2 - halfUnit)) / halfUnit;
+    const ez = Math.max(0, Math.abs(z) - (topDepth / 2 - halfUnit)) / halfUnit;
+    const distance = shape.dish === "spherical" ? ex * ex + ez * ez : ex * ex;
+    return shape.dishDepth * (1 - Math.min(1, distance));
+  };
+
+  // Top surface height: tilted toward the viewer (+z) and dished
+  const surfaceY = (x, z) => topY - z * slope - dishAt(x, z);
+
+  const base = roundedRectOutline(
+    width + grow * 2,
+    depth + grow * 2,
+    shape.baseRadius + grow,
+    cornerSegments,
+  );
+  const rim = roundedRectOutline(
+    topWidth,
+    topDepth,
+    shape.topRadius + grow,
+    cornerSegments,
+  );
+
+  // Rings from the base up the skirt to the rim, then inward across the top
+  const rings = [base.map(([x, z]) => [x, baseY, z])];
+
+  // Shoulder just under the rim rounds the top edge
+  const shoulder = 0.25;
+  rings.push(
+    rim.map(([x, z], i) => {
+      const bx = base[i][0];
+      const bz = base[i][1];
+      const sx = x + (bx - x) * shoulder * 0.5;
+      const sz = z + (bz - z) * shoulder * 0.5;
+      const y = surfaceY(x, z) - (topY - baseY) * shoulder * 0.2;
+      return [sx, y, sz];
+    }),
+  );
+
+  for (let ring = 0; ring < dishRings; ring++) {
+    const scale = 1 - ring / dishRings;
+    rings.push(
+      rim.map(([x, z]) => [
+        x * scale,
+        surfaceY(x * scale, z * scale),
+        z * scale,
+      ]),
+    );
+  }
+
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+
+  // Legend UVs span the top; skirt vertices clamp to the texture edge
+  const pushVertex = ([x, y, z]) => {
+    positions.push(x, y, z);
+    uvs.push(
+      clamp((x + topWidth / 2) / topWidth, 0, 1),
+      clamp((topDepth / 2 - z) / topDepth, 0, 1),
+    );
+  };
+
+  for (const ring of rings) {
+    ring.forEach(pushVertex);
+  }
+
+  const count = base.length;
+  for (let ring = 0; ring < rings.length - 1; ring++) {
+    const lower = ring * count;
+    const upper = (ring + 1) * count;
+
+    for (let i = 0; i < count; i++) {
+      const next = (i + 1) % count;
+      indices.push(lower + i, upper + i, lower + next);
+      indices.push(lower + next, upper + i, upper + next);
+    }
+  }
+
+  // Center of the dish closes the top
+  const center = positions.length / 3;
+  pushVertex([0, surfaceY(0, 0), 0]);
+  const innermost = (rings.length - 1) * count;
+  for (let i = 0; i < count; i++) {
+    indices.push(innermost + i, center, innermost + ((i + 1) % count));
+  }
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute("position", new Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("uv", new Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+
+  return geometry;
+}
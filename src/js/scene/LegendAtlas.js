@@ -0,0 +1,126 @@
+/**
+ * LegendAtlas - One canvas texture holding every key legend
+ *
+ * Legends get a cell sized to their key's footprint (CONFIG.keycaps.atlas.unit
+ * pixels per key unit), packed on shelves. LegendRenderer draws into cells;
+ * keys sample theirs through a per-instance UV offset/scale (KeyInstances).
+ */
+
+import { CanvasTexture } from "three";
+import { CONFIG } from "../../config.js";
+
+export class LegendAtlas {
+  constructor({
+    size = CONFIG.keycaps.atlas.size,
+    unit = CONFIG.keycaps.atlas.unit,
+    padding = CONFIG.keycaps.atlas.padding,
+  } = {}) {
+    this.size = size;
+    this.unit = unit;
+    this.padding = padding;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = size;
+    this.canvas.height = size;
+    this.context = this.canvas.getContext("2d");
+    this.texture = new CanvasTexture(this.canvas);
+
+    // Packing state: rows of cells, plus released cells for reuse
+    this.shelves = [];
+    this.freeCells = [];
+  }
+
+  /**
+   * Reserve a cell for a key footprint
+   * @param {number} width - Key width (world units)
+   * @param {number} depth - Key depth (world units)
+   * @returns {Object|null} Cell, null when the atlas is full
+   */
+  allocate(width, depth) {
+    const cellWidth = Math.min(this.size, Math.round(this.unit * width));
+    const cellHeight = Math.min(this.size, Math.round(this.unit * depth));
+
+    // Reuse a released cell of the same size (spelled keys come and go)
+    const freeIndex = this.freeCells.findIndex(
+      (cell) => cell.width === cellWidth && cell.height === cellHeight,
+    );
+    if (freeIndex !== -1) {
+      return this.freeCells.splice(freeIndex, 1)[0];
+    }
+
+    let shelf = this.shelves.find(
+      (s) => s.height === cellHeight && s.x + cellWidth <= this.size,
+    );
+
+    if (!shelf) {
+      const last = this.shelves.at(-1);
+      const y = last ? last.y + last.height : 0;
+      if (y + cellHeight > this.size) return null;
+      shelf = { y, height: cellHeight, x: 0 };
+      this.shelves.push(shelf);
+    }
+
+    const cell = this.createCell(shelf.x, shelf.y, cellWidth, cellHeight);
+    shelf.x += cellWidth;
+    return cell;
+  }
+
+  /**
+   * Describe a cell and the UV transform that samples inside its padding
+   */
+  createCell(x, y, width, height) {
+    const { size, padding } = this;
+
+    return {
+      x,
+      y,
+      width,
+      height,
+      unit: this.unit,
+      // [offsetU, offsetV, scaleU, scaleV] - canvas y runs down, V runs up
+      uv: [
+        (x + padding) / size,
+        1 - (y + height - padding) / size,
+        (width - padding * 2) / size,
+        (height - padding * 2) / size,
+      ],
+    };
+  }
+
+  /**
+   * Return a cell for reuse
+   */
+  release(cell) {
+    if (cell) {
+      this.freeCells.push(cell);
+    }
+  }
+
+  /**
+   * Draw into a cell (clipped, with the cell's top-left as the origin)
+   * @param {Object} cell - Cell from allocate
+   * @param {Function} paint - Called with (context, width, height)
+   */
+  draw(cell, paint) {
+    const ctx = this.context;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(cell.x, cell.y, cell.width, cell.height);
+    ctx.clip();
+    ctx.translate(cell.x, cell.y);
+    paint(ctx, cell.width, cell.height);
+    ctx.restore();
+
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Clean up
+   */
+  dispose() {
+    this.texture.dispose();
+    this.shelves = [];
+    this.freeCells = [];
+  }
+}
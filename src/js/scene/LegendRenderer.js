@@ -0,0 +1,294 @@
+/**
+ * LegendRenderer - Draws key legends into the shared atlas, once per look
+ *
+ * A legend is a main label plus an optional sub-legend (KLE's shifted or
+ * secondary label), drawn for a key footprint. Keys with the same look share
+ * one atlas cell; cells are reference counted and kept after their last key
+ * lets go, so flips back to a recent letter cost nothing.
+ *
+ * Cells hold masks rather than colors: red is legend coverage and green the
+ * cap's shading, so the cap shader tints them with each key's palette colors
+ * and a palette change redraws nothing.
+ *
+ * Labels are text in the legend font (CONFIG.keycaps.legend, loaded through
+ * document.fonts), vector icons for common key symbols (⇧ ⏎ ⌫ ⌘ ...), or
+ * words, which shrink and wrap to fit the cap.
+ */
+
+import { CONFIG } from "../../config.js";
+
+// Vector icons for key symbols (24×24 viewBox, stroked), so they look the
+// same whatever fonts the visitor has
+const ICONS = {
+  "⇧": "M12 4 L4 12 H8 V20 H16 V12 H20 Z",
+  "⇪": "M12 4 L4 12 H8 V16 H16 V12 H20 Z M8 20 H16",
+  "⇥": "M3 12 H19 M13 6 L19 12 L13 18 M21 5 V19",
+  "⏎": "M20 5 V13 H5 M9 9 L5 13 L9 17",
+  "⌫": "M8 5 H21 V19 H8 L2 12 Z M12 9 L17 15 M17 9 L12 15",
+  "⌘": "M9 9 H15 V15 H9 Z M9 9 V6 A3 3 0 1 0 6 9 H9 M15 9 V6 A3 3 0 1 1 18 9 H15 M15 15 V18 A3 3 0 1 0 18 15 H15 M9 15 V18 A3 3 0 1 1 6 15 H9",
+};
+
+export class LegendRenderer {
+  /**
+   * @param {LegendAtlas} atlas - Atlas to draw into
+   */
+  constructor(atlas) {
+    this.atlas = atlas;
+
+    // Look signature -> { look, cell, refs }; unused entries stay in LRU order
+    this.entries = new Map();
+    this.unused = new Set();
+
+    this.icons = new Map();
+    this.fontLoaded = false;
+    this.handleFontsLoaded = this.handleFontsLoaded.bind(this);
+    this.watchFonts();
+  }
+
+  /**
+   * CSS font shorthand for a pixel size
+   */
+  getFont(size) {
+    const { weight, font } = CONFIG.keycaps.legend;
+    return `${weight} ${Math.round(size)}px ${font}`;
+  }
+
+  /**
+   * Redraw every legend once the legend font arrives (it may load late)
+   */
+  watchFonts() {
+    const fonts = document.fonts;
+    if (!fonts) return;
+
+    this.fontLoaded = fonts.check(this.getFont(64));
+    fonts.addEventListener("loadingdone", this.handleFontsLoaded);
+  }
+
+  /**
+   * Wait (briefly) for the legend font so first draws use it
+   * @param {number} timeout - Give up after this many ms
+   * @returns {Promise<void>} Resolves when loaded, failed or timed out
+   */
+  async whenFontsReady(timeout = CONFIG.keycaps.legend.fontTimeout) {
+    const fonts = document.fonts;
+    if (!fonts || this.fontLoaded) return;
+
+    let timer = null;
+    try {
+      await Promise.race([
+        fonts.load(this.getFont(64)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, timeout);
+        }),
+      ]);
+    } catch (error) {
+      console.warn("Legend font failed to load:", error);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.handleFontsLoaded();
+  }
+
+  /**
+   * Redraw cached legends when the legend font has just become available
+   */
+  handleFontsLoaded() {
+    if (this.fontLoaded || !document.fonts?.check(this.getFont(64))) return;
+    this.fontLoaded = true;
+
+    for (const entry of this.entries.values()) {
+      this.draw(entry);
+    }
+  }
+
+  /**
+   * Get a cell showing a legend look (drawn if not cached)
+   * @param {Object} look - Legend look
+   * @param {string} look.text - Main legend
+   * @param {string|null} look.sub - Sub-legend (top-left, smaller)
+   * @param {number} look.width - Key width (world units)
+   * @param {number} look.depth - Key depth (world units)
+   * @returns {Object} Entry to pass back to release(); entry.cell may be null
+   */
+  acquire(look) {
+    const signature = [
+      look.text,
+      look.sub ?? "",
+      look.width.toFixed(2),
+      look.depth.toFixed(2),
+    ].join("\u0000");
+
+    let entry = this.entries.get(signature);
+
+    if (!entry) {
+      entry = { signature, look, cell: this.allocate(look), refs: 0 };
+      this.entries.set(signature, entry);
+      this.draw(entry);
+    }
+
+    entry.refs += 1;
+    this.unused.delete(entry);
+    return entry;
+  }
+
+  /**
+   * Let go of an entry from acquire()
+   */
+  release(entry) {
+    if (!entry) return;
+
+    entry.refs -= 1;
+    if (entry.refs <= 0) {
+      this.unused.add(entry);
+    }
+  }
+
+  /**
+   * Reserve a cell, evicting unused legends (oldest first) when full
+   */
+  allocate({ width, depth }) {
+    let cell = this.atlas.allocate(width, depth);
+
+    for (const entry of this.unused) {
+      if (cell) break;
+      this.evict(entry);
+      cell = this.atlas.allocate(width, depth);
+    }
+
+    if (!cell) {
+      console.warn("Legend atlas is full");
+    }
+    return cell;
+  }
+
+  /**
+   * Drop an unused entry and free its cell
+   */
+  evict(entry) {
+    this.unused.delete(entry);
+    this.entries.delete(entry.signature);
+    this.atlas.release(entry.cell);
+  }
+
+  /**
+   * Draw an entry into its cell
+   */
+  draw(entry) {
+    const { cell, look } = entry;
+    if (!cell) return;
+
+    this.atlas.draw(cell, (ctx, width, height) => {
+      this.drawBackground(ctx, width, height);
+
+      // Legends add coverage (red) on top of the shading (green)
+      ctx.globalCompositeOperation = "lighter";
+      ctx.fillStyle = "#ff0000";
+      ctx.strokeStyle = ctx.fillStyle;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+
+      const { size, subSize } = CONFIG.keycaps.legend;
+      this.drawLabel(ctx, look.text, {
+        x: width / 2,
+        y: height / 2,
+        size: cell.unit * size,
+        maxWidth: width * 0.8,
+      });
+
+      if (look.sub) {
+        const subPixels = cell.unit * subSize;
+        this.drawLabel(ctx, look.sub, {
+          x: width * 0.1 + subPixels / 2,
+          y: height * 0.1 + subPixels / 2,
+          size: subPixels,
+          maxWidth: width * 0.4,
+        });
+      }
+    });
+  }
+
+  /**
+   * Shading mask (green): a subtle top-to-bottom gradient for depth, no legend
+   */
+  drawBackground(ctx, width, height) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, "rgb(0, 247, 0)");
+    gradient.addColorStop(1, "rgb(0, 235, 0)");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  /**
+   * Draw an icon or text label centered on a point
+   * Text shrinks to fit, then wraps words onto two lines
+   */
+  drawLabel(ctx, text, { x, y, size, maxWidth }) {
+    if (!text) return;
+
+    if (ICONS[text]) {
+      this.drawIcon(ctx, text, x, y, size);
+      return;
+    }
+
+    // Shrink no further than minSize, relative to the label's full size
+    const { minSize, size: mainSize } = CONFIG.keycaps.legend;
+    const smallest = (size * minSize) / mainSize;
+    const step = Math.max(1, size * 0.06);
+    const words = text.split(/\s+/);
+    let lines = [text];
+    let fontSize = size;
+
+    const fits = () =>
+      lines.every((line) => ctx.measureText(line).width <= maxWidth);
+
+    ctx.font = this.getFont(fontSize);
+    while (!fits() && fontSize > smallest) {
+      // Wrap before shrinking words too small to read (e.g. "Caps Lock")
+      if (lines.length === 1 && words.length > 1 && fontSize < size * 0.7) {
+        const middle = Math.ceil(words.length / 2);
+        lines = [
+          words.slice(0, middle).join(" "),
+          words.slice(middle).join(" "),
+        ];
+        continue;
+      }
+      fontSize -= step;
+      ctx.font = this.getFont(fontSize);
+    }
+
+    const lineHeight = fontSize * 1.1;
+    const top = y - ((lines.length - 1) * lineHeight) / 2;
+    lines.forEach((line, i) => {
+      ctx.fillText(line, x, top + i * lineHeight);
+    });
+  }
+
+  /**
+   * Stroke a vector icon (24×24 path) scaled to a size
+   */
+  drawIcon(ctx, name, x, y, size) {
+    if (!this.icons.has(name)) {
+      this.icons.set(name, new Path2D(ICONS[name]));
+    }
+
+    const scale = size / 24;
+    ctx.save();
+    ctx.translate(x - size / 2, y - size / 2);
+    ctx.scale(scale, scale);
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.stroke(this.icons.get(name));
+    ctx.restore();
+  }
+
+  /**
+   * Clean up
+   */
+  dispose() {
+    document.fonts?.removeEventListener("loadingdone", this.handleFontsLoaded);
+    this.entries.clear();
+    this.unused.clear();
+  }
+}
@@ -1,13 +1,49 @@
 /**
  * Lighting - Scene lighting setup
+ *
+ * Lights, environment intensity and tone-mapping exposure follow the theme
+ * mode (dark/light), tweening between presets so a switch doesn't pop.
  */
 
-import { AmbientLight, DirectionalLight, PointLight, Color } from "three";
+import { AmbientLight, DirectionalLight, Color } from "three";
+import { animateCancellable, easings } from "../utils/easing.js";
+import { lerp } from "../utils/helpers.js";
+
+// Per theme mode: lights in setup() order (ambient, key, fill, fill 2)
+const THEME_PRESETS = {
+  dark: {
+    lights: [
+      { intensity: 0.4, color: 0xffffff },
+      { intensity: 1.0, color: 0xffffff },
+      { intensity: 0.4, color: 0x8080ff }, // Cool fill
+      { intensity: 0.3, color: 0xffffff },
+    ],
+    environmentIntensity: 1,
+    exposure: 1.2,
+  },
+  light: {
+    // Brighter, neutral lighting; less exposure keeps pale caps from clipping
+    lights: [
+      { intensity: 0.6, color: 0xffffff },
+      { intensity: 1.2, color: 0xffffff },
+      { intensity: 0.4, color: 0xffffff },
+      { intensity: 0.3, color: 0xffffff },
+    ],
+    environmentIntensity: 0.8,
+    exposure: 1.1,
+  },
+};
 
 export class Lighting {
-  constructor(scene) {
+  /**
+   * @param {Scene} scene - Scene to light
+   * @param {WebGLRenderer} renderer - Renderer (tone-mapping exposure)
+   */
+  constructor(scene, renderer) {
     this.scene = scene;
+    this.renderer = renderer;
     this.lights = [];
+    this.transition = null;
   }
 
   /**
@@ -40,26 +76,64 @@ export class Lighting {
   }
 
   /**
-   * Update light for theme change
+   * Update lights, environment and exposure for a theme mode
+   * @param {string} theme - "dark" or "light"
+   * @param {Object} options - Options
+   * @param {number} options.duration - Tween length (ms), 0 to jump
+   * @returns {Promise<boolean>} Resolves false if interrupted
    */
-  setTheme(theme) {
-    if (theme === "light") {
-      // Brighter, warmer lighting for light theme
-      this.lights[0].intensity = 0.6; // ambient
-      this.lights[1].intensity = 1.2; // key
-      this.lights[2].color.setHex(0xffffff); // fill - neutral
-    } else {
-      // Original dark theme lighting
-      this.lights[0].intensity = 0.4;
-      this.lights[1].intensity = 1.0;
-      this.lights[2].color.setHex(0x8080ff);
+  setTheme(theme, { duration = 0 } = {}) {
+    const preset = THEME_PRESETS[theme] ?? THEME_PRESETS.dark;
+
+    // A new switch starts from wherever the last one got to
+    this.transition?.cancel();
+    this.transition = null;
+
+    const from = {
+      lights: this.lights.map((light) => ({
+        intensity: light.intensity,
+        color: light.color.clone(),
+      })),
+      environmentIntensity: this.scene.environmentIntensity,
+      exposure: this.renderer.toneMappingExposure,
+    };
+    const to = preset.lights.map(({ color }) => new Color(color));
+
+    const blend = (t) => {
+      this.lights.forEach((light, i) => {
+        light.intensity = lerp(
+          from.lights[i].intensity,
+          preset.lights[i].intensity,
+          t,
+        );
+        light.color.lerpColors(from.lights[i].color, to[i], t);
+      });
+      this.scene.environmentIntensity = lerp(
+        from.environmentIntensity,
+        preset.environmentIntensity,
+        t,
+      );
+      this.renderer.toneMappingExposure = lerp(
+        from.exposure,
+        preset.exposure,
+        t,
+      );
+    };
+
+    if (duration <= 0) {
+      blend(1);
+      return Promise.resolve(true);
     }
+
+    this.transition = animateCancellable(duration, blend, easings.easeInOut);
+    return this.transition.promise;
   }
 
   /**
    * Clean up lights
    */
   dispose() {
+    this.transition?.cancel();
     for (const light of this.lights) {
       this.scene.remove(light);
     }
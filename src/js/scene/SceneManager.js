@@ -16,6 +16,7 @@ import { CONFIG } from "../../config.js";
 import { debounce, throttle } from "../utils/helpers.js";
 import { Lighting } from "./Lighting.js";
 import { Environment } from "./Environment.js";
+import { onThemeChange, getCurrentPalette } from "../utils/palette.js";
 
 export class SceneManager {
   constructor(canvas) {
@@ -27,16 +28,22 @@ export class SceneManager {
     this.animationId = null;
     this.isPaused = false;
     this.onUpdate = null;
-    this.onKeyClick = null;
+    this.onKeyPointerDown = null; // (keyModel, pointerId, pointerType)
+    this.onKeyPointerUp = null; // (keyModel, pointerId, pointerType)
+    this.updateListeners = new Set();
 
     // Raycasting
     this.raycaster = new Raycaster();
     this.mouse = new Vector2();
-    this.hoveredKey = null;
+    this.hoveredKey = null; // Under a hovering mouse or pen
+
+    // Keys held by pointers that are down (pointerId -> KeyModel)
+    this.activePointers = new Map();
 
     // Lighting and environment
     this.lighting = null;
     this.environment = null;
+    this.unsubscribeTheme = null;
   }
 
   /**
@@ -47,6 +54,7 @@ export class SceneManager {
     this.setupRenderer();
     this.setupLighting();
     await this.setupEnvironment();
+    this.setupTheme();
     this.setupEventListeners();
   }
 
@@ -88,7 +96,7 @@ export class SceneManager {
    * Set up scene lighting
    */
   setupLighting() {
-    this.lighting = new Lighting(this.scene);
+    this.lighting = new Lighting(this.scene, this.renderer);
     this.lighting.setup();
   }
 
@@ -100,6 +108,20 @@ export class SceneManager {
     await this.environment.load();
   }
 
+  /**
+   * Match lighting to the applied theme, then follow theme changes
+   */
+  setupTheme() {
+    const mode =
+      getCurrentPalette()?.mode ??
+      document.documentElement.getAttribute("data-theme");
+    this.lighting.setTheme(mode);
+
+    this.unsubscribeTheme = onThemeChange(({ palette, duration }) => {
+      this.lighting.setTheme(palette.mode, { duration });
+    });
+  }
+
   /**
    * Set up event listeners
    */
@@ -130,17 +152,27 @@ export class SceneManager {
       this.handleContextRestored();
     });
 
-    // Mouse interaction for key hover/click
-    const throttledRaycast = throttle(
-      this.handleMouseMove.bind(this),
+    // Pointer interaction (mouse, pen and multi-touch) for key hover/press
+    const throttledHover = throttle(
+      this.handleHover.bind(this),
       CONFIG.performance.raycastInterval,
     );
-    this.canvas.addEventListener("mousemove", throttledRaycast);
-    this.canvas.addEventListener("click", this.handleClick.bind(this));
-
-    // Touch support
-    this.canvas.addEventListener("touchstart", this.handleTouch.bind(this), {
-      passive: true,
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (this.activePointers.has(e.pointerId)) {
+        this.handlePointerMove(e);
+      } else if (e.pointerType !== "touch") {
+        throttledHover(e);
+      }
+    });
+    this.canvas.addEventListener("pointerdown", (e) =>
+      this.handlePointerDown(e),
+    );
+    this.canvas.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener("pointercancel", (e) =>
+      this.handlePointerUp(e),
+    );
+    this.canvas.addEventListener("pointerleave", (e) => {
+      if (e.pointerType !== "touch") this.setHoveredKey(null);
     });
   }
 
@@ -185,88 +217,120 @@ export class SceneManager {
   }
 
   /**
-   * Handle mouse move for raycasting
+   * Find the key under a screen point
+   * @returns {KeyModel|null} Nearest visible key
    */
-  handleMouseMove(event) {
-    // Convert mouse position to normalized device coordinates
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  getKeyAt(clientX, clientY) {
+    // Convert to normalized device coordinates
+    this.mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    this.mouse.y = -(clientY / window.innerHeight) * 2 + 1;
 
-    // Raycast
     this.raycaster.setFromCamera(this.mouse, this.camera);
     const intersects = this.raycaster.intersectObjects(
       this.scene.children,
       true,
     );
 
-    // Find key model in intersects
-    const keyIntersect = intersects.find((i) => i.object.userData?.keyModel);
+    for (const intersect of intersects) {
+      const keyModel = this.getIntersectKey(intersect);
+      if (keyModel?.group.visible) return keyModel;
+    }
+    return null;
+  }
 
-    if (keyIntersect) {
-      const keyModel = keyIntersect.object.userData.keyModel;
+  /**
+   * Key behind a raycast hit (instanced keys resolve by instanceId)
+   */
+  getIntersectKey({ object, instanceId }) {
+    return object.userData.keyModels?.[instanceId] ?? null;
+  }
 
-      // Hover state change
-      if (this.hoveredKey !== keyModel) {
-        if (this.hoveredKey) {
-          this.hoveredKey.hover(false);
-        }
-        keyModel.hover(true);
-        this.hoveredKey = keyModel;
-        this.canvas.style.cursor = "pointer";
-      }
-    } else {
-      // Clear hover
-      if (this.hoveredKey) {
-        this.hoveredKey.hover(false);
-        this.hoveredKey = null;
-        this.canvas.style.cursor = "default";
-      }
+  /**
+   * Hover a key under a mouse or pen that isn't pressing
+   */
+  handleHover(event) {
+    this.setHoveredKey(this.getKeyAt(event.clientX, event.clientY));
+  }
+
+  /**
+   * Change the hovered key (keys held by a pointer stay highlighted)
+   */
+  setHoveredKey(keyModel) {
+    if (this.hoveredKey === keyModel) return;
+
+    if (this.hoveredKey && !this.isKeyHeld(this.hoveredKey)) {
+      this.hoveredKey.hover(false);
     }
+    keyModel?.hover(true);
+
+    this.hoveredKey = keyModel;
+    this.canvas.style.cursor = keyModel ? "pointer" : "default";
   }
 
   /**
-   * Handle click on canvas
+   * Press the key under a new pointer (each finger holds its own key)
    */
-  handleClick(event) {
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  handlePointerDown(event) {
+    // Primary button only for mice; any contact for touch and pen
+    if (event.pointerType === "mouse" && event.button !== 0) return;
 
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObjects(
-      this.scene.children,
-      true,
-    );
+    const keyModel = this.getKeyAt(event.clientX, event.clientY);
+    if (!keyModel) return;
 
-    const keyIntersect = intersects.find((i) => i.object.userData?.keyModel);
+    // Keep receiving this pointer's events until it lifts
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this.pressPointerKey(event, keyModel);
+  }
 
-    if (keyIntersect) {
-      const keyModel = keyIntersect.object.userData.keyModel;
-      this.onKeyClick?.(keyModel);
+  /**
+   * Slide a held pointer onto another key (glissando)
+   */
+  handlePointerMove(event) {
+    const keyModel = this.getKeyAt(event.clientX, event.clientY);
+    const heldKey = this.activePointers.get(event.pointerId);
+    if (keyModel === heldKey) return;
+
+    this.releasePointerKey(event);
+    if (keyModel) {
+      this.pressPointerKey(event, keyModel);
     }
   }
 
   /**
-   * Handle touch on canvas
+   * Release the key held by a lifted (or cancelled) pointer
    */
-  handleTouch(event) {
-    if (event.touches.length === 1) {
-      const touch = event.touches[0];
-      this.mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-      this.mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-
-      this.raycaster.setFromCamera(this.mouse, this.camera);
-      const intersects = this.raycaster.intersectObjects(
-        this.scene.children,
-        true,
-      );
-
-      const keyIntersect = intersects.find((i) => i.object.userData?.keyModel);
-
-      if (keyIntersect) {
-        const keyModel = keyIntersect.object.userData.keyModel;
-        this.onKeyClick?.(keyModel);
-      }
+  handlePointerUp(event) {
+    this.releasePointerKey(event);
+  }
+
+  /**
+   * Hold a key for a pointer
+   */
+  pressPointerKey(event, keyModel) {
+    this.activePointers.set(event.pointerId, keyModel);
+    keyModel.hover(true);
+    this.onKeyPointerDown?.(keyModel, event.pointerId, event.pointerType);
+  }
+
+  /**
+   * Release a pointer's key, if it holds one
+   */
+  releasePointerKey(event) {
+    const keyModel = this.activePointers.get(event.pointerId);
+    if (!keyModel) return;
+
+    this.activePointers.delete(event.pointerId);
+    if (keyModel !== this.hoveredKey && !this.isKeyHeld(keyModel)) {
+      keyModel.hover(false);
     }
+    this.onKeyPointerUp?.(keyModel, event.pointerId, event.pointerType);
+  }
+
+  /**
+   * Whether any pointer holds a key
+   */
+  isKeyHeld(keyModel) {
+    return [...this.activePointers.values()].includes(keyModel);
   }
 
   /**
@@ -277,6 +341,16 @@ export class SceneManager {
     this.animate();
   }
 
+  /**
+   * Add a per-frame listener (e.g. debug tools)
+   * @param {Function} listener - Called with (delta, elapsed) every frame
+   * @returns {Function} Removes the listener
+   */
+  addUpdateListener(listener) {
+    this.updateListeners.add(listener);
+    return () => this.updateListeners.delete(listener);
+  }
+
   /**
    * Animation loop
    */
@@ -290,6 +364,9 @@ export class SceneManager {
 
     // Call update callback
     this.onUpdate?.(delta, elapsed);
+    for (const listener of this.updateListeners) {
+      listener(delta, elapsed);
+    }
 
     this.renderer.render(this.scene, this.camera);
   }
@@ -320,6 +397,8 @@ export class SceneManager {
    */
   dispose() {
     this.pause();
+    this.unsubscribeTheme?.();
+    this.lighting?.dispose();
 
     // Dispose all scene objects
     this.scene.traverse((child) => {
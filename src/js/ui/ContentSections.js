@@ -2,11 +2,16 @@
  * ContentSections - Manages section transitions and animations
  */
 
+import { CONFIG } from "../../config.js";
+import { wait } from "../utils/helpers.js";
+import { prefersReducedMotion } from "../utils/device.js";
+
 export class ContentSections {
   constructor(contentElement) {
     this.container = contentElement;
     this.sections = new Map();
     this.currentSection = null;
+    this.isTransitioning = false;
 
     this.init();
   }
@@ -15,6 +20,12 @@ export class ContentSections {
    * Initialize content sections
    */
   init() {
+    // Share transition duration with CSS
+    this.container.style.setProperty(
+      "--section-transition",
+      `${CONFIG.timing.sectionTransition}ms`,
+    );
+
     const sectionElements = this.container.querySelectorAll(".section");
 
     sectionElements.forEach((section) => {
@@ -22,32 +33,118 @@ export class ContentSections {
 
       if (section.classList.contains("active")) {
         this.currentSection = section.id;
+        section.classList.add("visible");
       }
     });
   }
 
   /**
-   * Show a section with animation
+   * Show a section with animation (current section fades out, next fades in)
+   * @param {string} sectionId - Section to show
+   * @returns {Promise<boolean>} True if the section changed
    */
-  showSection(sectionId) {
-    if (sectionId === this.currentSection) return;
+  async showSection(sectionId) {
+    if (sectionId === this.currentSection || this.isTransitioning) {
+      return false;
+    }
 
     const previousSection = this.sections.get(this.currentSection);
     const nextSection = this.sections.get(sectionId);
 
-    if (!nextSection) return;
+    if (!nextSection) return false;
+
+    this.isTransitioning = true;
+    try {
+      this.container.classList.remove("hidden");
+
+      // Hide current
+      if (previousSection) {
+        await this.animateOut(previousSection);
+      }
+
+      // Show next
+      this.currentSection = sectionId;
+      this.container.scrollTop = 0;
+      await this.animateIn(nextSection);
+    } finally {
+      this.isTransitioning = false;
+    }
+    return true;
+  }
+
+  /**
+   * Hide the current section and the content panel
+   * @returns {Promise<boolean>} True if a section was hidden
+   */
+  async hideSection() {
+    const currentSection = this.sections.get(this.currentSection);
+    if (!currentSection || this.isTransitioning) return false;
+
+    this.isTransitioning = true;
+    try {
+      await this.animateOut(currentSection);
 
-    // Hide current
-    if (previousSection) {
-      previousSection.classList.remove("active");
+      this.currentSection = null;
+      this.container.classList.add("hidden");
+    } finally {
+      this.isTransitioning = false;
     }
+    return true;
+  }
+
+  /**
+   * Highlight an item (e.g. a project) within the current section
+   * @param {string|null} slug - Item slug, or null to clear the highlight
+   * @returns {boolean} True if the item was found
+   */
+  focusItem(slug) {
+    const section = this.sections.get(this.currentSection);
+    if (!section) return false;
+
+    let found = false;
+    section.querySelectorAll("[data-slug]").forEach((item) => {
+      const isMatch = item.dataset.slug === slug;
+      item.classList.toggle("highlighted", isMatch);
 
-    // Show next
-    nextSection.classList.add("active");
-    this.currentSection = sectionId;
+      if (isMatch) {
+        found = true;
+        item.scrollIntoView({
+          block: "nearest",
+          behavior: prefersReducedMotion() ? "auto" : "smooth",
+        });
+      }
+    });
 
-    // Scroll to top of section
-    this.container.scrollTop = 0;
+    return found;
+  }
+
+  /**
+   * Fade a section in
+   */
+  async animateIn(section) {
+    section.classList.add("active");
+
+    // Force reflow so the transition starts from the hidden state
+    void section.offsetHeight;
+    section.classList.add("visible");
+
+    await wait(this.getTransitionDuration());
+  }
+
+  /**
+   * Fade a section out
+   */
+  async animateOut(section) {
+    section.classList.remove("visible");
+    await wait(this.getTransitionDuration());
+    section.classList.remove("active");
+  }
+
+  /**
+   * Transition duration in ms (instant for reduced motion)
+   */
+  getTransitionDuration() {
+    return prefersReducedMotion() ? 0 : CONFIG.timing.sectionTransition;
   }
 
   /**
@@ -63,4 +160,16 @@ export class ContentSections {
   hasSection(sectionId) {
     return this.sections.has(sectionId);
   }
+
+  /**
+   * Check if a section contains an item with the given slug
+   */
+  hasItem(sectionId, slug) {
+    const section = this.sections.get(sectionId);
+    if (!section || !slug) return false;
+
+    return [...section.querySelectorAll("[data-slug]")].some(
+      (item) => item.dataset.slug === slug,
+    );
+  }
 }
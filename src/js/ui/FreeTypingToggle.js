@@ -0,0 +1,68 @@
+/**
+ * FreeTypingToggle - Switches between the brand keys and the full keyboard
+ */
+
+export class FreeTypingToggle {
+  constructor(buttonElement, initialState = false, onChange = null) {
+    this.button = buttonElement;
+    this.enabled = initialState;
+    this.onChange = onChange;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the toggle
+   */
+  init() {
+    // Set initial state
+    this.updateButton();
+
+    // Click handler
+    this.button.addEventListener("click", () => {
+      this.toggle();
+    });
+  }
+
+  /**
+   * Toggle free typing on/off
+   */
+  toggle() {
+    this.setEnabled(!this.enabled);
+  }
+
+  /**
+   * Set free typing state
+   * @param {boolean} enabled - Free typing enabled
+   * @param {boolean} notify - Call onChange
+   */
+  setEnabled(enabled, notify = true) {
+    this.enabled = enabled;
+
+    // Update button
+    this.updateButton();
+
+    // Callback
+    if (notify) {
+      this.onChange?.(enabled);
+    }
+  }
+
+  /**
+   * Update button state
+   */
+  updateButton() {
+    this.button.setAttribute("aria-pressed", String(this.enabled));
+    this.button.setAttribute(
+      "title",
+      this.enabled ? "Back to Studio Typo keys" : "Type on a full keyboard",
+    );
+  }
+
+  /**
+   * Get current state
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * KeyAccessibility - Focusable stand-ins for the 3D keys
+ *
+ * Mirrors the visible keys of KeyboardLayout as offscreen buttons (one tab
+ * stop, arrow keys move between keys), shows a focus ring on the focused
+ * KeyModel and presses keys with Enter/Space.
+ */
+
+import { Vector3 } from "three";
+
+// Arrow key -> direction on screen (camera looks down: x right, z down)
+const DIRECTIONS = {
+  ArrowLeft: { x: -1, z: 0 },
+  ArrowRight: { x: 1, z: 0 },
+  ArrowUp: { x: 0, z: -1 },
+  ArrowDown: { x: 0, z: 1 },
+};
+
+// Friendly names for keys without a single-letter legend
+const KEY_NAMES = {
+  Space: "Space",
+  Enter: "Enter",
+  ShiftLeft: "Left Shift",
+  ShiftRight: "Right Shift",
+};
+
+// Scratch vector for world positions
+const worldPosition = new Vector3();
+
+export class KeyAccessibility {
+  /**
+   * @param {HTMLElement} container - Element holding the proxy buttons
+   * @param {KeyboardLayout} keyboardLayout - Keys to mirror
+   * @param {Object} callbacks - Callbacks
+   * @param {Function} callbacks.onPress - Called with the KeyModel on Enter/Space down
+   * @param {Function} callbacks.onRelease - Called with the KeyModel on key up
+   */
+  constructor(container, keyboardLayout, { onPress, onRelease }) {
+    this.container = container;
+    this.keyboardLayout = keyboardLayout;
+    this.onPress = onPress;
+    this.onRelease = onRelease;
+
+    this.buttons = new Map(); // KeyModel -> button
+    this.focusedKey = null;
+    this.pressedKey = null;
+    this.clickTimeout = null;
+  }
+
+  /**
+   * Sync proxies with the visible keys (cheap; call every frame)
+   */
+  sync() {
+    if (!this.container) return;
+
+    const visibleKeys = this.keyboardLayout.allKeys.filter(
+      (key) => key.group.visible,
+    );
+
+    const changed =
+      visibleKeys.length !== this.buttons.size ||
+      visibleKeys.some((key) => !this.buttons.has(key));
+
+    if (changed) {
+      this.rebuild(visibleKeys);
+    }
+
+    // Legends change (rotations, spelling, layout legends)
+    for (const [key, button] of this.buttons) {
+      const label = this.getLabel(key);
+      if (button.textContent !== label) {
+        button.textContent = label;
+      }
+    }
+  }
+
+  /**
+   * Rebuild the proxy buttons in reading order, keeping existing ones
+   */
+  rebuild(visibleKeys) {
+    const hadFocus = this.container.contains(document.activeElement);
+
+    // Remove proxies of keys that went away
+    for (const [key, button] of this.buttons) {
+      if (!visibleKeys.includes(key)) {
+        button.remove();
+        this.buttons.delete(key);
+        if (key === this.focusedKey) this.setFocusedKey(null);
+      }
+    }
+
+    // Rows top to bottom, then left to right
+    const positions = new Map(
+      visibleKeys.map((key) => [key, this.getPosition(key)]),
+    );
+    const ordered = [...visibleKeys].sort((a, b) => {
+      const pa = positions.get(a);
+      const pb = positions.get(b);
+      return Math.abs(pa.z - pb.z) > 0.3 ? pa.z - pb.z : pa.x - pb.x;
+    });
+
+    for (const key of ordered) {
+      const button = this.buttons.get(key) ?? this.createButton(key);
+      this.buttons.set(key, button);
+      this.container.appendChild(button); // Moves existing buttons into order
+    }
+
+    // Exactly one tab stop (roving tabindex)
+    const tabStop = this.buttons.has(this.focusedKey)
+      ? this.focusedKey
+      : ordered[0];
+    for (const [key, button] of this.buttons) {
+      button.tabIndex = key === tabStop ? 0 : -1;
+    }
+
+    // The focused key disappeared: keep focus in the group
+    if (hadFocus && !this.container.contains(document.activeElement)) {
+      this.buttons.get(tabStop)?.focus();
+    }
+  }
+
+  /**
+   * Create a proxy button for a key
+   */
+  createButton(key) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "key-proxy";
+    button.textContent = this.getLabel(key);
+
+    button.addEventListener("focus", () => this.setFocusedKey(key));
+    button.addEventListener("blur", () => {
+      if (this.focusedKey === key) this.setFocusedKey(null);
+      this.releasePressed();
+    });
+    button.addEventListener("keydown", (e) => this.handleKeyDown(e, key));
+    button.addEventListener("keyup", (e) => this.handleKeyUp(e));
+
+    // Screen reader activation sends a click without key events
+    button.addEventListener("click", (e) => {
+      if (e.detail !== 0 || this.pressedKey) return;
+      this.onPress?.(key);
+      clearTimeout(this.clickTimeout);
+      this.clickTimeout = setTimeout(() => this.onRelease?.(key), 100);
+    });
+
+    return button;
+  }
+
+  /**
+   * Arrow keys move focus; Enter/Space press the key
+   */
+  handleKeyDown(event, key) {
+    if (DIRECTIONS[event.key]) {
+      const next = this.findNeighbor(key, DIRECTIONS[event.key]);
+      if (next) {
+        this.buttons.get(next).focus();
+      }
+    } else if (event.key === "Home" || event.key === "End") {
+      const buttons = [...this.container.children];
+      (event.key === "Home" ? buttons[0] : buttons.at(-1))?.focus();
+    } else if (event.key === "Enter" || event.key === " ") {
+      if (!event.repeat && !this.pressedKey) {
+        this.pressedKey = key;
+        this.onPress?.(key);
+      }
+    } else {
+      return;
+    }
+
+    // Handled here - keep the page-wide keyboard handler out of it
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  handleKeyUp(event) {
+    if (event.key !== "Enter" && event.key !== " ") return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.releasePressed();
+  }
+
+  /**
+   * Release a key pressed with Enter/Space
+   */
+  releasePressed() {
+    if (!this.pressedKey) return;
+    this.onRelease?.(this.pressedKey);
+    this.pressedKey = null;
+  }
+
+  /**
+   * Nearest visible key in a direction (favoring keys in line)
+   */
+  findNeighbor(key, direction) {
+    const from = this.getPosition(key);
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of this.buttons.keys()) {
+      if (candidate === key) continue;
+
+      const to = this.getPosition(candidate);
+      const along =
+        (to.x - from.x) * direction.x + (to.z - from.z) * direction.z;
+      if (along <= 0.1) continue;
+
+      const across = Math.abs(
+        (to.x - from.x) * direction.z + (to.z - from.z) * direction.x,
+      );
+      const score = along + across * 2;
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Key position in world space (groups move and scale)
+   */
+  getPosition(key) {
+    const { x, z } = key.group.getWorldPosition(worldPosition);
+    return { x, z };
+  }
+
+  /**
+   * Move the focus ring
+   */
+  setFocusedKey(key) {
+    if (this.focusedKey === key) return;
+
+    this.focusedKey?.setFocused(false);
+    this.focusedKey = key;
+    key?.setFocused(true);
+
+    if (key) {
+      for (const [other, button] of this.buttons) {
+        button.tabIndex = other === key ? 0 : -1;
+      }
+    }
+  }
+
+  /**
+   * Accessible name for a key
+   */
+  getLabel(key) {
+    if (key.letter) return key.letter;
+    return KEY_NAMES[key.code] ?? key.code ?? "Key";
+  }
+
+  /**
+   * Clean up
+   */
+  dispose() {
+    clearTimeout(this.clickTimeout);
+    this.releasePressed();
+    this.setFocusedKey(null);
+    this.container?.replaceChildren();
+    this.buttons.clear();
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * NarrationToggle - Screen-reader narration on/off controller
+ */
+
+import { setNarrationEnabled } from "../utils/storage.js";
+
+export class NarrationToggle {
+  constructor(buttonElement, initialState = true, onChange = null) {
+    this.button = buttonElement;
+    this.enabled = initialState;
+    this.onChange = onChange;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the toggle
+   */
+  init() {
+    // Set initial state
+    this.updateButton();
+
+    // Click handler
+    this.button.addEventListener("click", () => {
+      this.toggle();
+    });
+  }
+
+  /**
+   * Toggle narration on/off
+   */
+  toggle() {
+    this.setEnabled(!this.enabled);
+  }
+
+  /**
+   * Set narration enabled state
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+
+    // Persist
+    setNarrationEnabled(enabled);
+
+    // Update button
+    this.updateButton();
+
+    // Callback
+    this.onChange?.(enabled);
+  }
+
+  /**
+   * Update button state
+   */
+  updateButton() {
+    this.button.setAttribute("aria-pressed", String(this.enabled));
+    this.button.setAttribute(
+      "title",
+      this.enabled ? "Mute narration" : "Unmute narration",
+    );
+  }
+
+  /**
+   * Get current state
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+}
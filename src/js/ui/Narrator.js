@@ -0,0 +1,94 @@
+/**
+ * Narrator - Concise screen-reader narration through an aria-live region
+ *
+ * Speaks app state transitions (CONFIG.narration.transitions) and intro
+ * timeline "narrate" events. Messages are spaced out so a quick succession
+ * (e.g. the fast returning intro) doesn't overwrite one before it is read.
+ */
+
+import { CONFIG } from "../../config.js";
+
+export class Narrator {
+  /**
+   * @param {HTMLElement} region - aria-live region
+   * @param {boolean} enabled - Narration enabled
+   */
+  constructor(region, enabled = true) {
+    this.region = region;
+    this.enabled = enabled;
+
+    this.queue = [];
+    this.timeout = null;
+  }
+
+  /**
+   * Queue a message for screen readers
+   * @param {string} message - Text to announce
+   */
+  announce(message) {
+    if (!this.enabled || !this.region || !message) return;
+
+    this.queue.push(message);
+    if (!this.timeout) {
+      this.next();
+    }
+  }
+
+  /**
+   * Speak the next queued message, then wait before the one after
+   */
+  next() {
+    const message = this.queue.shift();
+    if (!message) {
+      this.timeout = null;
+      return;
+    }
+
+    // Clear first so repeating the same message is announced again
+    this.region.textContent = "";
+    requestAnimationFrame(() => {
+      this.region.textContent = message;
+    });
+
+    this.timeout = setTimeout(() => this.next(), CONFIG.narration.spacing);
+  }
+
+  /**
+   * Narrate an App state transition, if it has a message
+   * @param {string} state - New state
+   * @param {string} previousState - State left
+   */
+  onStateChange(state, previousState) {
+    this.announce(CONFIG.narration.transitions[`${previousState}->${state}`]);
+  }
+
+  /**
+   * Mute or unmute narration (muting drops anything pending)
+   * @param {boolean} enabled - Narration enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.clear();
+    }
+  }
+
+  /**
+   * Drop queued messages and empty the live region
+   */
+  clear() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    this.queue = [];
+    if (this.region) {
+      this.region.textContent = "";
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  dispose() {
+    this.clear();
+  }
+}
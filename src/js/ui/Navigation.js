@@ -31,6 +31,22 @@ export class Navigation {
     });
   }
 
+  /**
+   * Mark the link for a section as active
+   * @param {string|null} section - Active section ID
+   */
+  setActive(section) {
+    this.navLinks.forEach((link) => {
+      const isActive = link.getAttribute("data-section") === section;
+      link.classList.toggle("active", isActive);
+      if (isActive) {
+        link.setAttribute("aria-current", "page");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+  }
+
   /**
    * Show the navigation and controls
    */
@@ -0,0 +1,59 @@
+/**
+ * PaletteSelect - Colorway picker (see CONFIG.palettes)
+ */
+
+import { CONFIG } from "../../config.js";
+
+export class PaletteSelect {
+  constructor(selectElement, initialPalette = "dark", onChange = null) {
+    this.select = selectElement;
+    this.currentPalette = initialPalette;
+    this.onChange = onChange;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the picker
+   */
+  init() {
+    // One option per palette
+    for (const palette of CONFIG.palettes) {
+      const option = document.createElement("option");
+      option.value = palette.id;
+      option.textContent = palette.name;
+      this.select.append(option);
+    }
+
+    // Set initial state
+    this.updateSelect();
+
+    // Change handler
+    this.select.addEventListener("change", () => {
+      this.currentPalette = this.select.value;
+      this.onChange?.(this.currentPalette);
+    });
+  }
+
+  /**
+   * Show a palette as selected (without notifying)
+   */
+  setPalette(id) {
+    this.currentPalette = id;
+    this.updateSelect();
+  }
+
+  /**
+   * Update select state
+   */
+  updateSelect() {
+    this.select.value = this.currentPalette;
+  }
+
+  /**
+   * Get current palette
+   */
+  getPalette() {
+    return this.currentPalette;
+  }
+}
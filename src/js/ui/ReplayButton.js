@@ -0,0 +1,21 @@
+/**
+ * ReplayButton - Replays the full intro sequence on demand
+ */
+
+export class ReplayButton {
+  constructor(buttonElement, onReplay = null) {
+    this.button = buttonElement;
+    this.onReplay = onReplay;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the button
+   */
+  init() {
+    this.button.addEventListener("click", () => {
+      this.onReplay?.();
+    });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * SwitchSelect - Key sound (switch profile) picker
+ */
+
+import { SWITCH_PROFILES } from "../audio/switchProfiles.js";
+import { setSwitchPreference } from "../utils/storage.js";
+
+export class SwitchSelect {
+  constructor(selectElement, initialProfile = "blue", onChange = null) {
+    this.select = selectElement;
+    this.currentProfile = initialProfile;
+    this.onChange = onChange;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the picker
+   */
+  init() {
+    // One option per profile
+    for (const [id, profile] of Object.entries(SWITCH_PROFILES)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = profile.name;
+      this.select.append(option);
+    }
+
+    // Set initial state
+    this.select.value = this.currentProfile;
+
+    // Change handler
+    this.select.addEventListener("change", () => {
+      this.setProfile(this.select.value);
+    });
+  }
+
+  /**
+   * Set switch profile
+   */
+  setProfile(id) {
+    this.currentProfile = id;
+    this.select.value = id;
+
+    // Persist
+    setSwitchPreference(id);
+
+    // Callback
+    this.onChange?.(id);
+  }
+
+  /**
+   * Get current profile
+   */
+  getProfile() {
+    return this.currentProfile;
+  }
+}
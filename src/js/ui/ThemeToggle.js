@@ -47,8 +47,12 @@ export class ThemeToggle {
 
   /**
    * Set specific theme
+   * @param {string} theme - "dark" or "light"
+   * @param {Object} options - Options
+   * @param {boolean} options.notify - Call the listener and track (false when
+   *   the change came from elsewhere, e.g. a palette)
    */
-  setTheme(theme) {
+  setTheme(theme, { notify = true } = {}) {
     this.currentTheme = theme;
 
     // Update DOM
@@ -60,6 +64,8 @@ export class ThemeToggle {
     // Update button
     this.updateButton();
 
+    if (!notify) return;
+
     // Notify listener
     this.onThemeChange?.(theme === "dark");
 
@@ -0,0 +1,120 @@
+/**
+ * TypoProgress - Live feedback while typing the TYPO sequence in READY
+ * Holds matched keys down, shows the next expected key in the hint and
+ * signals a wrong key when the sequence resets.
+ */
+
+export class TypoProgress {
+  /**
+   * @param {HTMLElement} hintElement - The #hint element
+   * @param {KeyboardLayout} keyboardLayout - Keys to press/highlight
+   * @param {AudioManager} audioManager - Feedback sounds
+   * @param {string[]} steps - Sequence keys (e.g. ["T", "Y", "P", "O"])
+   */
+  constructor(hintElement, keyboardLayout, audioManager, steps) {
+    this.hint = hintElement;
+    this.keyboardLayout = keyboardLayout;
+    this.audioManager = audioManager;
+    this.steps = steps;
+
+    this.defaultHint = hintElement?.textContent.trim() ?? "";
+    this.heldKeys = [];
+    this.wrongTimeout = null;
+  }
+
+  /**
+   * Show progress after a matched key
+   * @param {number} matched - Steps matched so far
+   */
+  update(matched) {
+    // Complete: let the intro take over the keys
+    if (matched >= this.steps.length) {
+      this.clear();
+      return;
+    }
+
+    // Sound needs the audio context, which a key press may now start
+    this.audioManager.init().then(() => this.audioManager.playKeyPress());
+
+    // Hold down every matched key (a restart may have changed them)
+    this.releaseKeys();
+    this.heldKeys = this.steps
+      .slice(0, matched)
+      .map((letter) => this.keyboardLayout.getTypoKey(letter))
+      .filter(Boolean);
+
+    for (const key of this.heldKeys) {
+      key.press();
+      key.setHighlighted(true);
+    }
+
+    this.renderHint(matched);
+  }
+
+  /**
+   * Wrong key: shake the held keys, play the wrong sound and start over
+   */
+  fail() {
+    this.audioManager.init().then(() => this.audioManager.playWrongKey());
+
+    for (const key of this.heldKeys) {
+      key.shake();
+    }
+    this.clear();
+
+    if (this.hint) {
+      this.hint.classList.add("wrong");
+      clearTimeout(this.wrongTimeout);
+      this.wrongTimeout = setTimeout(
+        () => this.hint.classList.remove("wrong"),
+        400,
+      );
+    }
+  }
+
+  /**
+   * Release keys and restore the default hint
+   */
+  clear() {
+    this.releaseKeys();
+    if (this.hint) {
+      this.hint.textContent = this.defaultHint;
+    }
+  }
+
+  /**
+   * Release held keys
+   */
+  releaseKeys() {
+    for (const key of this.heldKeys) {
+      key.setHighlighted(false);
+      key.release();
+    }
+    this.heldKeys = [];
+  }
+
+  /**
+   * Render the sequence with matched and expected keys marked
+   */
+  renderHint(matched) {
+    if (!this.hint) return;
+
+    const letters = this.steps
+      .map((letter, index) => {
+        const state =
+          index < matched ? "matched" : index === matched ? "expected" : "";
+        return `<span class="hint-key ${state}">${letter}</span>`;
+      })
+      .join("");
+
+    this.hint.innerHTML = `Type ${letters} <span class="hint-next">next: ${this.steps[matched]}</span>`;
+  }
+
+  /**
+   * Clean up
+   */
+  dispose() {
+    clearTimeout(this.wrongTimeout);
+    this.clear();
+  }
+}
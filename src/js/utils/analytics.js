@@ -154,6 +154,22 @@ class Analytics {
     this.track("Section View", { section });
   }
 
+  /**
+   * Track a spelled word being submitted (length only, never the text)
+   * @param {number} length - Number of letters
+   */
+  trackWordSpelled(length) {
+    this.track("Word Spelled", { length });
+  }
+
+  /**
+   * Track an easter egg sequence being typed
+   * @param {string} name - Sequence name
+   */
+  trackEasterEgg(name) {
+    this.track("Easter Egg", { name });
+  }
+
   /**
    * Track external link clicks
    * @param {string} url - Link URL
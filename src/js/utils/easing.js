@@ -172,8 +172,10 @@ export function animateCancellable(
 ) {
   let cancelled = false;
   let animationId = null;
+  let resolvePromise = null;
 
   const promise = new Promise((resolve) => {
+    resolvePromise = resolve;
     const startTime = performance.now();
 
     function tick(currentTime) {
@@ -205,6 +207,8 @@ export function animateCancellable(
       if (animationId) {
         cancelAnimationFrame(animationId);
       }
+      // The frame loop no longer runs, so settle here
+      resolvePromise(false);
     },
   };
 }
@@ -0,0 +1,99 @@
+/**
+ * Gamepad Input Utilities
+ * Polls the Gamepad API and reports button presses as key codes
+ */
+
+/**
+ * Create a gamepad handler (polls while a gamepad is connected)
+ * @param {Object} options - Handler options
+ * @param {Object<number, string>} options.buttons - Button index -> KeyboardEvent.code
+ * @param {number} options.threshold - Analog value that counts as pressed
+ * @param {Function} options.onButton - Called with (code, eventType, velocity)
+ *   where eventType is "keydown" or "keyup" and velocity is 0-1
+ * @returns {{attach: Function, detach: Function}} Handler methods
+ */
+export function createGamepadHandler(options = {}) {
+  const { buttons = {}, threshold = 0.1, onButton } = options;
+
+  // Pressed buttons per gamepad index
+  const pressed = new Map();
+  let animationId = null;
+
+  function poll() {
+    const gamepads = navigator.getGamepads?.() ?? [];
+
+    for (const gamepad of gamepads) {
+      if (!gamepad) continue;
+
+      const down = pressed.get(gamepad.index) ?? new Set();
+      pressed.set(gamepad.index, down);
+
+      gamepad.buttons.forEach((button, index) => {
+        const code = buttons[index];
+        if (!code) return;
+
+        const isDown = button.pressed || button.value > threshold;
+
+        if (isDown && !down.has(index)) {
+          down.add(index);
+          // Digital buttons report 1; triggers report how far they're pulled
+          onButton?.(code, "keydown", button.value || 1);
+        } else if (!isDown && down.has(index)) {
+          down.delete(index);
+          onButton?.(code, "keyup", 0);
+        }
+      });
+    }
+
+    animationId = requestAnimationFrame(poll);
+  }
+
+  function start() {
+    if (animationId === null) {
+      animationId = requestAnimationFrame(poll);
+    }
+  }
+
+  function stop() {
+    if (animationId !== null) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+  }
+
+  function releaseGamepad(index) {
+    for (const buttonIndex of pressed.get(index) ?? []) {
+      onButton?.(buttons[buttonIndex], "keyup", 0);
+    }
+    pressed.delete(index);
+  }
+
+  function handleConnected() {
+    start();
+  }
+
+  function handleDisconnected(event) {
+    releaseGamepad(event.gamepad.index);
+
+    const connected = [...(navigator.getGamepads?.() ?? [])].some(Boolean);
+    if (!connected) stop();
+  }
+
+  return {
+    attach() {
+      if (!("getGamepads" in navigator)) return;
+
+      window.addEventListener("gamepadconnected", handleConnected);
+      window.addEventListener("gamepaddisconnected", handleDisconnected);
+
+      // A gamepad may already be connected (e.g. after a reload)
+      if ([...navigator.getGamepads()].some(Boolean)) start();
+    },
+    detach() {
+      window.removeEventListener("gamepadconnected", handleConnected);
+      window.removeEventListener("gamepaddisconnected", handleDisconnected);
+      stop();
+      [...pressed.keys()].forEach(releaseGamepad);
+    },
+  };
+}
@@ -2,20 +2,13 @@
  * Keyboard Input Utilities
  */
 
+import { CONFIG } from "../../config.js";
+
 // Valid keys for TYPO sequence
 const TYPO_KEYS = ["T", "Y", "P", "O"];
 const STUDIO_KEYS = ["S", "T", "U", "D", "I", "O"];
 const ALL_VALID_KEYS = [...new Set([...TYPO_KEYS, ...STUDIO_KEYS])];
 
-/**
- * Check if a key is part of the TYPO sequence
- * @param {string} key - Key to check
- * @returns {boolean} True if valid TYPO key
- */
-export function isTypoKey(key) {
-  return TYPO_KEYS.includes(key.toUpperCase());
-}
-
 /**
  * Check if a key is part of STUDIO
  * @param {string} key - Key to check
@@ -34,6 +27,68 @@ export function isValidKey(key) {
   return ALL_VALID_KEYS.includes(key.toUpperCase());
 }
 
+// Key values that don't say which character was meant (IME, dead keys)
+const UNRESOLVED_KEYS = new Set(["Dead", "Process", "Unidentified"]);
+
+/**
+ * Letter or digit printed on a physical key in the US layout
+ * @param {string} code - KeyboardEvent.code (e.g. "KeyT", "Digit1")
+ * @returns {string|null} Uppercase letter/digit, null for other keys
+ */
+export function keyFromCode(code) {
+  const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(code ?? "");
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Normalize a produced character for matching
+ * @param {string} char - Single character
+ * @returns {string} Uppercase character, or "Space"
+ */
+export function normalizeCharacter(char) {
+  return char === " " ? "Space" : char.toUpperCase();
+}
+
+/**
+ * Resolve the key a keyboard event stands for, independent of layout
+ *
+ * By character (default), the produced character counts, so AZERTY or
+ * Dvorak visitors type TYPO with the keys labelled T-Y-P-O. Where there is
+ * no Latin character (non-Latin layouts, IME "Process", dead keys) the
+ * physical key is used instead. By code, the physical US position always
+ * counts.
+ *
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {string} matchBy - "character" or "code" (see CONFIG.input)
+ * @returns {string|null} Uppercase letter/digit, "Space", a named key
+ *   ("ArrowUp", "Enter"...), another character, or null if unknown
+ */
+export function resolveKey(event, matchBy = CONFIG.input.matchBy) {
+  const fromCode = keyFromCode(event.code);
+  if (matchBy === "code" && fromCode) return fromCode;
+
+  const { key } = event;
+  if (!key || UNRESOLVED_KEYS.has(key)) return fromCode;
+  if (key.length > 1) return key; // Named key
+  if (/^[a-z0-9]$/i.test(key) || key === " ") return normalizeCharacter(key);
+
+  // Letters of other scripts fall back to the physical key
+  if (/\p{L}/u.test(key)) return fromCode ?? key.toUpperCase();
+
+  return key;
+}
+
+/**
+ * Check if a key event belongs to IME composition
+ * The keydown that starts a composition isn't marked isComposing yet, but
+ * reports "Process" (keyCode 229); its text arrives on compositionend
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True if the IME handles this key
+ */
+function isImeKey(event) {
+  return event.isComposing || event.key === "Process" || event.keyCode === 229;
+}
+
 /**
  * Normalize key from event to uppercase letter
  * @param {KeyboardEvent} event - Keyboard event
@@ -45,10 +100,15 @@ export function normalizeKey(event) {
     return null;
   }
 
-  const key = event.key.toUpperCase();
+  // Mid-composition keys are delivered on compositionend
+  if (isImeKey(event)) {
+    return null;
+  }
+
+  const key = resolveKey(event);
 
   // Only accept single letters
-  if (key.length !== 1 || !/^[A-Z]$/.test(key)) {
+  if (!key || !/^[A-Z]$/.test(key)) {
     return null;
   }
 
@@ -56,18 +116,44 @@ export function normalizeKey(event) {
 }
 
 /**
- * Get key code from event (for older browser support)
+ * Check if an event comes from somewhere the visitor is typing text
+ * @param {Event} event - Keyboard or composition event
+ * @returns {boolean} True for form fields and contenteditable elements
+ */
+function isEditableTarget(event) {
+  const { target } = event;
+  if (!(target instanceof Element)) return false;
+  return (
+    target.isContentEditable ||
+    target.closest("input, textarea, select") !== null
+  );
+}
+
+/**
+ * Character a key produces in the visitor's layout, for legends
+ * Only unshifted, non-dead keys tell us what the cap shows
  * @param {KeyboardEvent} event - Keyboard event
- * @returns {string} Key character
+ * @returns {string|null} Uppercase character or null
  */
-export function getKeyChar(event) {
-  // Modern browsers
-  if (event.key) {
-    return event.key.toUpperCase();
-  }
+export function getLayoutCharacter(event) {
+  if (event.shiftKey || event.getModifierState?.("AltGraph")) return null;
+  if (!event.key || event.key.length !== 1 || event.key === " ") return null;
+  return event.key.toUpperCase();
+}
 
-  // Fallback for older browsers
-  return String.fromCharCode(event.keyCode || event.which).toUpperCase();
+/**
+ * Get the visitor's keyboard layout map (code -> character)
+ * Uses the Keyboard API where available (Chromium); empty elsewhere, where
+ * the layout is learned from key presses instead
+ * @returns {Promise<Map<string, string>>} Characters by KeyboardEvent.code
+ */
+export async function getKeyboardLayoutMap() {
+  try {
+    const layoutMap = await navigator.keyboard?.getLayoutMap();
+    return new Map(layoutMap ?? []);
+  } catch {
+    return new Map();
+  }
 }
 
 /**
@@ -76,13 +162,51 @@ export function getKeyChar(event) {
  * @param {Function} options.onKeyDown - Called on key down
  * @param {Function} options.onKeyUp - Called on key up
  * @param {Function} options.onValidKey - Called for valid TYPO/STUDIO keys
+ * @param {Function} options.onPhysicalKey - Called with (code, eventType, event,
+ *   key) for every physical key (any key, not just letters). Held keys
+ *   repeat as "keyrepeat" events between "keydown" and "keyup".
+ *   `key` is layout-aware (see resolveKey). Text committed by an IME arrives
+ *   one character at a time with a null code.
+ *   Presses in form fields and contenteditable elements are ignored.
+ * @param {Function} options.onBlur - Called when the window loses focus
  * @returns {{attach: Function, detach: Function}} Handler methods
  */
 export function createKeyboardHandler(options = {}) {
-  const { onKeyDown, onKeyUp, onValidKey } = options;
+  const { onKeyDown, onKeyUp, onValidKey, onPhysicalKey, onBlur } = options;
   const pressedKeys = new Set();
 
+  // Physical keys, ignoring shortcuts (Ctrl/Alt/Meta combinations) and
+  // composition. Releases always pass, so a key held when a modifier went
+  // down is still let go.
+  function handlePhysicalKey(event, eventType) {
+    const type = event.repeat ? "keyrepeat" : eventType;
+
+    if (type !== "keyup") {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+      if (isImeKey(event)) return;
+    }
+
+    onPhysicalKey?.(event.code, type, event, resolveKey(event));
+  }
+
+  // IME composition: replay the committed text as key presses
+  function handleCompositionEnd(event) {
+    if (isEditableTarget(event)) return;
+
+    for (const char of event.data ?? "") {
+      const key = normalizeCharacter(char);
+
+      onPhysicalKey?.(null, "keydown", event, key);
+      onPhysicalKey?.(null, "keyup", event, key);
+    }
+  }
+
   function handleKeyDown(event) {
+    // Typing in a form field isn't playing the keyboard
+    if (isEditableTarget(event)) return;
+
+    handlePhysicalKey(event, "keydown");
+
     const key = normalizeKey(event);
     if (!key) return;
 
@@ -98,8 +222,11 @@ export function createKeyboardHandler(options = {}) {
   }
 
   function handleKeyUp(event) {
-    const key = normalizeKey(event);
-    if (!key) return;
+    handlePhysicalKey(event, "keyup");
+
+    // Modifiers may be down by now; release whatever was pressed
+    const key = resolveKey(event);
+    if (!pressedKeys.has(key)) return;
 
     pressedKeys.delete(key);
     onKeyUp?.(key, event);
@@ -108,6 +235,7 @@ export function createKeyboardHandler(options = {}) {
   // Clear pressed keys when window loses focus
   function handleBlur() {
     pressedKeys.clear();
+    onBlur?.();
   }
 
   return {
@@ -115,11 +243,13 @@ export function createKeyboardHandler(options = {}) {
       window.addEventListener("keydown", handleKeyDown);
       window.addEventListener("keyup", handleKeyUp);
       window.addEventListener("blur", handleBlur);
+      window.addEventListener("compositionend", handleCompositionEnd);
     },
     detach() {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
       window.removeEventListener("blur", handleBlur);
+      window.removeEventListener("compositionend", handleCompositionEnd);
       pressedKeys.clear();
     },
     isKeyPressed(key) {
@@ -131,65 +261,5 @@ export function createKeyboardHandler(options = {}) {
   };
 }
 
-/**
- * Track TYPO sequence input
- * @param {Function} onComplete - Called when TYPO is typed
- * @param {number} timeout - Reset timeout in ms (default: 2000)
- * @returns {{track: Function, reset: Function}} Tracker methods
- */
-export function createTypoTracker(onComplete, timeout = 2000) {
-  const sequence = ["T", "Y", "P", "O"];
-  let currentIndex = 0;
-  let timeoutId = null;
-
-  function reset() {
-    currentIndex = 0;
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-      timeoutId = null;
-    }
-  }
-
-  function track(key) {
-    const upperKey = key.toUpperCase();
-
-    // Reset timeout
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-    }
-
-    // Check if key matches expected
-    if (upperKey === sequence[currentIndex]) {
-      currentIndex++;
-
-      // Complete sequence
-      if (currentIndex === sequence.length) {
-        reset();
-        onComplete();
-        return true;
-      }
-
-      // Set reset timeout
-      timeoutId = setTimeout(reset, timeout);
-    } else {
-      // Wrong key, reset
-      reset();
-    }
-
-    return false;
-  }
-
-  return {
-    track,
-    reset,
-    getProgress() {
-      return currentIndex;
-    },
-    getExpected() {
-      return sequence[currentIndex] || null;
-    },
-  };
-}
-
 // Export key constants
 export { TYPO_KEYS, STUDIO_KEYS, ALL_VALID_KEYS };
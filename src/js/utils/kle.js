@@ -0,0 +1,83 @@
+/**
+ * Keyboard Layout Editor (KLE) parsing
+ * Reads the raw data format of keyboard-layout-editor.com
+ *
+ * A layout is an array of rows. Strings are keys (legends separated by "\n",
+ * in KLE's label order); objects set properties for the next key:
+ *   x, y - Gap before the key (key units; y moves the whole row)
+ *   w, h - Key width and height (key units, default 1)
+ *   code - Physical KeyboardEvent.code (our extension, e.g. "ShiftLeft")
+ *   p    - Keycap profile and row, e.g. "SA R1" (sticky, as in KLE)
+ * A leading non-array object is KLE metadata (name, author...) and is skipped.
+ */
+
+/**
+ * Parse KLE raw data into positioned keys
+ * @param {Array} rows - KLE rows
+ * @returns {Array<{legend: string, legends: string[], code: string|null, profile: string|null, row: number, x: number, y: number, width: number, height: number}>}
+ *   Keys with top-left positions in key units and their KLE row index
+ */
+export function parseKLE(rows) {
+  const keys = [];
+  let y = 0;
+  let rowIndex = 0;
+  let profile = null;
+
+  for (const row of rows) {
+    // Metadata object
+    if (!Array.isArray(row)) continue;
+
+    let x = 0;
+    let next = {};
+
+    for (const item of row) {
+      if (typeof item === "object" && item !== null) {
+        x += item.x ?? 0;
+        y += item.y ?? 0;
+        profile = item.p ?? profile;
+        next = { ...next, ...item };
+        continue;
+      }
+
+      const legends = String(item).split("\n");
+      const width = next.w ?? 1;
+
+      keys.push({
+        // Main legend: the last one set (KLE puts shifted symbols first)
+        legend: legends.filter(Boolean).at(-1) ?? "",
+        legends,
+        code: next.code ?? null,
+        profile,
+        row: rowIndex,
+        x,
+        y,
+        width,
+        height: next.h ?? 1,
+      });
+
+      x += width;
+      next = {};
+    }
+
+    y += 1;
+    rowIndex += 1;
+  }
+
+  return keys;
+}
+
+/**
+ * Bounds of parsed keys (key units)
+ * @param {Array} keys - Keys from parseKLE
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds
+ */
+export function getKLEBounds(keys) {
+  if (keys.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+  const minX = Math.min(...keys.map((key) => key.x));
+  const minY = Math.min(...keys.map((key) => key.y));
+  const maxX = Math.max(...keys.map((key) => key.x + key.width));
+  const maxY = Math.max(...keys.map((key) => key.y + key.height));
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
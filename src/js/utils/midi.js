@@ -0,0 +1,106 @@
+/**
+ * MIDI Input Utilities
+ * Listens to Web MIDI note messages and reports them as key codes
+ */
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+/**
+ * Check if Web MIDI is available
+ * @returns {boolean} True if supported
+ */
+export function supportsMIDI() {
+  return "requestMIDIAccess" in navigator;
+}
+
+/**
+ * Create a MIDI handler
+ * Notes from firstNote upward map onto codes in order, wrapping around, so
+ * any pad or keyboard range plays the keys.
+ * @param {Object} options - Handler options
+ * @param {number} options.firstNote - MIDI note of the first code
+ * @param {string[]} options.codes - KeyboardEvent.code per note
+ * @param {Function} options.onNote - Called with (code, eventType, velocity,
+ *   note) where eventType is "keydown" or "keyup" and velocity is 0-1.
+ *   Notes an octave apart share a code, so hold state belongs to the note.
+ * @returns {{attach: Function, detach: Function}} Handler methods
+ */
+export function createMidiHandler(options = {}) {
+  const { firstNote = 36, codes = [], onNote } = options;
+
+  let access = null;
+  const held = new Map(); // Note -> code
+
+  function codeForNote(note) {
+    if (codes.length === 0) return null;
+    const index =
+      (((note - firstNote) % codes.length) + codes.length) % codes.length;
+    return codes[index];
+  }
+
+  function handleMessage(event) {
+    const [status, note, velocity = 0] = event.data;
+    const command = status & 0xf0;
+
+    // Note on with velocity 0 is a note off
+    if (command === NOTE_ON && velocity > 0) {
+      const code = codeForNote(note);
+      if (!code || held.has(note)) return;
+
+      held.set(note, code);
+      onNote?.(code, "keydown", velocity / 127, note);
+    } else if (command === NOTE_OFF || command === NOTE_ON) {
+      const code = held.get(note);
+      if (!code) return;
+
+      held.delete(note);
+      onNote?.(code, "keyup", 0, note);
+    }
+  }
+
+  function bindInputs() {
+    for (const input of access.inputs.values()) {
+      input.onmidimessage = handleMessage;
+    }
+  }
+
+  function releaseAll() {
+    for (const [note, code] of held) {
+      onNote?.(code, "keyup", 0, note);
+    }
+    held.clear();
+  }
+
+  return {
+    /**
+     * Request MIDI access (may prompt) and listen to every input
+     * @returns {Promise<boolean>} True if listening
+     */
+    async attach() {
+      if (!supportsMIDI()) return false;
+
+      try {
+        access = await navigator.requestMIDIAccess();
+      } catch (error) {
+        console.warn("MIDI access denied:", error);
+        return false;
+      }
+
+      // Devices plugged in later
+      access.onstatechange = () => bindInputs();
+      bindInputs();
+      return true;
+    },
+    detach() {
+      if (access) {
+        for (const input of access.inputs.values()) {
+          input.onmidimessage = null;
+        }
+        access.onstatechange = null;
+        access = null;
+      }
+      releaseAll();
+    },
+  };
+}
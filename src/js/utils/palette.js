@@ -0,0 +1,88 @@
+/**
+ * Palette Utilities - Colorways shared by the page and the 3D keys
+ *
+ * A palette is a data-theme mode (dark/light) plus optional data-palette
+ * overrides in variables.css. The 3D keys read their colors back from the
+ * same CSS variables, so each colorway is defined once.
+ *
+ * Applying a palette emits one theme event; the scene (lights, exposure),
+ * the keys and the theme controls each follow it through onThemeChange.
+ */
+
+import { CONFIG } from "../../config.js";
+
+// Theme event listeners and the palette they last heard about
+const listeners = new Set();
+let currentPalette = null;
+
+/**
+ * Find a palette by id
+ * @param {string} id - Palette id
+ * @returns {Object|undefined} Palette from CONFIG.palettes
+ */
+export function getPaletteById(id) {
+  return CONFIG.palettes.find((palette) => palette.id === id);
+}
+
+/**
+ * Listen for theme changes
+ * @param {Function} listener - Called with { palette, colors, duration }
+ * @returns {Function} Unsubscribe function
+ */
+export function onThemeChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Palette applied last (null before the first applyPalette)
+ * @returns {Object|null} Palette from CONFIG.palettes
+ */
+export function getCurrentPalette() {
+  return currentPalette;
+}
+
+/**
+ * Apply a palette to the document and emit the theme event
+ * @param {string} id - Palette id (unknown ids fall back to the default theme)
+ * @param {Object} options - Options
+ * @param {number} options.duration - Transition length for listeners (ms)
+ * @returns {Object} Applied palette
+ */
+export function applyPalette(id, { duration = 0 } = {}) {
+  const palette = getPaletteById(id) ?? getPaletteById(CONFIG.theme.default);
+  const root = document.documentElement;
+
+  root.setAttribute("data-theme", palette.mode);
+
+  // dark and light are the base themes, with no overrides
+  if (palette.id === palette.mode) {
+    root.removeAttribute("data-palette");
+  } else {
+    root.setAttribute("data-palette", palette.id);
+  }
+
+  currentPalette = palette;
+
+  const event = { palette, colors: readPaletteColors(), duration };
+  for (const listener of listeners) {
+    listener(event);
+  }
+
+  return palette;
+}
+
+/**
+ * Read the applied palette's key colors from the CSS variables
+ * @returns {{base: string, legend: string, accent: string}} CSS colors
+ */
+export function readPaletteColors() {
+  const style = getComputedStyle(document.documentElement);
+  const read = (name) => style.getPropertyValue(name).trim();
+
+  return {
+    base: read("--key-base"),
+    legend: read("--key-legend"),
+    accent: read("--key-accent"),
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Key Sequence Recognition
+ * Recognizes named key sequences (words, Konami code, chords) for triggers
+ * and easter eggs.
+ *
+ * A sequence is a list of steps. A step is a key ("T", "ArrowUp", "Space")
+ * or a chord - an array of keys held down together (["T", "Y"]). A string
+ * is shorthand for one step per character ("STUDIO").
+ */
+
+// Keys that never break a sequence on their own (e.g. Shift for capitals)
+const MODIFIER_KEYS = new Set(["Shift", "Control", "Alt", "Meta", "CapsLock"]);
+
+/**
+ * Normalize a KeyboardEvent.key for matching
+ * @param {string} key - Key value
+ * @returns {string} Uppercase character, "Space", or the named key
+ */
+export function normalizeSequenceKey(key) {
+  if (key === " ") return "Space";
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Normalize sequence steps (string shorthand, chords)
+ */
+function normalizeSteps(keys) {
+  const steps = typeof keys === "string" ? [...keys] : keys;
+
+  return steps.map((step) =>
+    Array.isArray(step)
+      ? step.map(normalizeSequenceKey)
+      : normalizeSequenceKey(step),
+  );
+}
+
+/**
+ * Create a recognizer for many named sequences
+ * @returns {Object} Recognizer methods
+ */
+export function createSequenceRecognizer() {
+  const sequences = new Map();
+  const heldKeys = new Set();
+
+  function clearTimer(sequence) {
+    if (sequence.timeoutId) {
+      clearTimeout(sequence.timeoutId);
+      sequence.timeoutId = null;
+    }
+  }
+
+  /**
+   * @param {string} reason - "miss" (wrong key), "timeout" or "reset"
+   */
+  function resetSequence(sequence, reason = "reset") {
+    const wasInProgress = sequence.index > 0;
+    sequence.index = 0;
+    clearTimer(sequence);
+
+    if (wasInProgress) {
+      sequence.onReset?.(reason);
+    }
+  }
+
+  /**
+   * Match a key press against a step
+   * @returns {"match"|"pending"|"miss"} Pending = part of an incomplete chord
+   */
+  function matchStep(step, key) {
+    if (!Array.isArray(step)) {
+      return step === key ? "match" : "miss";
+    }
+
+    if (!step.includes(key)) return "miss";
+    return step.every((chordKey) => heldKeys.has(chordKey))
+      ? "match"
+      : "pending";
+  }
+
+  function sameStep(a, b) {
+    return String(a) === String(b);
+  }
+
+  /**
+   * After a wrong key, the longest matched tail that is still a valid start
+   * (so "TTYPO" or up-up-up-down... keep counting)
+   * @returns {number} Steps to keep matched
+   */
+  function fallbackIndex(sequence, key) {
+    const { steps, index } = sequence;
+
+    for (let shift = 1; shift <= index; shift++) {
+      const length = index - shift;
+      let matches = true;
+      for (let i = 0; i < length && matches; i++) {
+        matches = sameStep(steps[shift + i], steps[i]);
+      }
+      if (matches && matchStep(steps[length], key) === "match") {
+        return length;
+      }
+    }
+    return 0;
+  }
+
+  function advance(sequence, key) {
+    let result = matchStep(sequence.steps[sequence.index], key);
+
+    if (result === "miss" && MODIFIER_KEYS.has(key)) return false;
+
+    if (result === "miss" && sequence.index > 0) {
+      const index = fallbackIndex(sequence, key);
+      result = matchStep(sequence.steps[index], key);
+
+      // Only a key that can't restart the sequence counts as wrong
+      if (result === "match") {
+        sequence.index = index;
+      } else {
+        resetSequence(sequence, "miss");
+      }
+    }
+
+    if (result !== "match") return false;
+
+    sequence.index++;
+    clearTimer(sequence);
+
+    // Complete sequence
+    if (sequence.index === sequence.steps.length) {
+      sequence.index = 0;
+      sequence.onProgress?.(sequence.steps.length, sequence.steps.length);
+      sequence.onComplete?.(sequence.name);
+      return true;
+    }
+
+    sequence.onProgress?.(sequence.index, sequence.steps.length);
+    sequence.timeoutId = setTimeout(
+      () => resetSequence(sequence, "timeout"),
+      sequence.timeout,
+    );
+    return false;
+  }
+
+  return {
+    /**
+     * Register a named sequence (replaces one with the same name)
+     * @param {string} name - Sequence name
+     * @param {Object} options - Sequence options
+     * @param {string|Array} options.keys - Steps (see module docs)
+     * @param {number} options.timeout - Reset after this long between steps (ms)
+     * @param {Function} options.onComplete - Called with the name when typed
+     * @param {Function} options.onProgress - Called with (matched, total)
+     * @param {Function} options.onReset - Called with the reason ("miss",
+     *   "timeout", "reset") when progress is lost before completing
+     */
+    register(
+      name,
+      { keys, timeout = 2000, onComplete, onProgress, onReset } = {},
+    ) {
+      this.unregister(name);
+      sequences.set(name, {
+        name,
+        steps: normalizeSteps(keys),
+        timeout,
+        onComplete,
+        onProgress,
+        onReset,
+        index: 0,
+        timeoutId: null,
+      });
+    },
+
+    unregister(name) {
+      const sequence = sequences.get(name);
+      if (sequence) {
+        resetSequence(sequence);
+        sequences.delete(name);
+      }
+    },
+
+    /**
+     * Feed a key event to every sequence
+     * @param {string} key - KeyboardEvent.key
+     * @param {string} eventType - "keydown" or "keyup"
+     * @returns {string[]} Names of sequences completed by this key
+     */
+    track(key, eventType = "keydown") {
+      const normalized = normalizeSequenceKey(key);
+
+      if (eventType === "keyup") {
+        heldKeys.delete(normalized);
+        return [];
+      }
+
+      // Repeats of a held key aren't new presses
+      if (eventType !== "keydown") return [];
+
+      heldKeys.add(normalized);
+
+      const completed = [];
+      for (const sequence of sequences.values()) {
+        if (advance(sequence, normalized)) {
+          completed.push(sequence.name);
+        }
+      }
+      return completed;
+    },
+
+    /**
+     * Reset one sequence, or all of them (also forgets held keys)
+     */
+    reset(name) {
+      if (name) {
+        const sequence = sequences.get(name);
+        if (sequence) resetSequence(sequence);
+        return;
+      }
+
+      heldKeys.clear();
+      sequences.forEach((sequence) => resetSequence(sequence));
+    },
+
+    /**
+     * Number of steps matched so far
+     */
+    getProgress(name) {
+      return sequences.get(name)?.index ?? 0;
+    },
+
+    /**
+     * Next expected step (a key, or an array for a chord), null if unknown
+     */
+    getExpected(name) {
+      const sequence = sequences.get(name);
+      return sequence ? sequence.steps[sequence.index] : null;
+    },
+
+    /**
+     * Get a sequence's normalized steps
+     */
+    getSteps(name) {
+      return sequences.get(name)?.steps ?? null;
+    },
+
+    dispose() {
+      this.reset();
+      sequences.clear();
+    },
+  };
+}
@@ -93,6 +93,23 @@ export function setTheme(theme) {
   setItem("theme", theme);
 }
 
+/**
+ * Get colorway palette preference
+ * @param {string} defaultPalette - Default palette if not set
+ * @returns {string} Palette id (see CONFIG.palettes)
+ */
+export function getPalette(defaultPalette = getTheme()) {
+  return getItem("palette", defaultPalette);
+}
+
+/**
+ * Set colorway palette preference
+ * @param {string} palette - Palette id
+ */
+export function setPalette(palette) {
+  setItem("palette", palette);
+}
+
 /**
  * Get sound preference
  * @param {boolean} defaultValue - Default sound state
@@ -110,6 +127,40 @@ export function setSoundEnabled(enabled) {
   setItem("sound", enabled);
 }
 
+/**
+ * Get key sound (switch profile) preference
+ * @param {string} defaultProfile - Default profile if not set
+ * @returns {string} Profile id (see audio/switchProfiles.js)
+ */
+export function getSwitchPreference(defaultProfile = "blue") {
+  return getItem("switch", defaultProfile);
+}
+
+/**
+ * Set key sound (switch profile) preference
+ * @param {string} profile - Profile id
+ */
+export function setSwitchPreference(profile) {
+  setItem("switch", profile);
+}
+
+/**
+ * Get screen-reader narration preference
+ * @param {boolean} defaultValue - Default narration state
+ * @returns {boolean} Narration enabled state
+ */
+export function getNarrationEnabled(defaultValue = true) {
+  return getItem("narration", defaultValue);
+}
+
+/**
+ * Set screen-reader narration preference
+ * @param {boolean} enabled - Narration enabled state
+ */
+export function setNarrationEnabled(enabled) {
+  setItem("narration", enabled);
+}
+
 /**
  * Check if user has completed intro
  * @returns {boolean} True if intro has been completed
@@ -132,7 +183,10 @@ export function markIntroCompleted() {
 export function getAllPreferences() {
   return {
     theme: getTheme(),
+    palette: getPalette(),
     sound: getSoundEnabled(),
+    switchProfile: getSwitchPreference(),
+    narration: getNarrationEnabled(),
     introCompleted: hasCompletedIntro(),
   };
 }